@@ -11,13 +11,21 @@ const path = require('path');
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
+const reviewRoutes = require('./routes/reviews');
 const orderRoutes = require('./routes/orders');
 const paymentRoutes = require('./routes/payments');
+const returnRoutes = require('./routes/returns');
+const payoutRoutes = require('./routes/payouts');
+const couponRoutes = require('./routes/coupons');
+const shippingRoutes = require('./routes/shipping');
+const cartRoutes = require('./routes/cart');
 const adminRoutes = require('./routes/admin');
 
 // Import models
 const Category = require('./models/Category');
 
+const { startJobs, stopJobs } = require('./utils/jobs');
+
 const app = express();
 
 // Security middleware
@@ -64,6 +72,7 @@ mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/craft-mar
   useUnifiedTopology: true,
 }).then(() => {
   console.log('Connected to MongoDB');
+  startJobs();
 }).catch(err => {
   console.error('Failed to connect to MongoDB', err);
   process.exit(1);
@@ -80,9 +89,15 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+app.use('/api/products/:productId/reviews', reviewRoutes);
 app.use('/api/products', productRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/payments', paymentRoutes);
+app.use('/api/returns', returnRoutes);
+app.use('/api/payouts', payoutRoutes);
+app.use('/api/coupons', couponRoutes);
+app.use('/api/shipping', shippingRoutes);
+app.use('/api/cart', cartRoutes);
 app.use('/api/admin', adminRoutes);
 
 // Public category routes
@@ -134,6 +149,7 @@ app.listen(PORT, () => {
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
+  stopJobs();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -142,6 +158,7 @@ process.on('SIGTERM', () => {
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
+  stopJobs();
   mongoose.connection.close(() => {
     console.log('MongoDB connection closed');
     process.exit(0);
@@ -0,0 +1,21 @@
+const mongoose = require("mongoose");
+
+// Entry in a user's address book
+const addressSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    label: String, // e.g. "Home", "Office"
+    line1: { type: String, required: true },
+    line2: String,
+    city: { type: String, required: true },
+    district: String, // one of the 25 districts for Sri Lanka; state or region elsewhere
+    province: String, // derived from the district for Sri Lanka
+    postalCode: String, // 5 digits for Sri Lanka
+    country: { type: String, default: "LK" }, // ISO code
+    phone: String,
+    isDefault: { type: Boolean, default: false }, // default shipping address
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  addressSchema.index({ user: 1, isDefault: -1 });
+
+  module.exports = mongoose.model("Address", addressSchema);
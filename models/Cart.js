@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+
+const cartSchema = new mongoose.Schema({
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for guest carts
+    token: String, // anonymous cart token for guests, sent as X-Cart-Token
+    items: [
+      {
+        product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+        variant: { type: mongoose.Schema.Types.ObjectId }, // Product.variants subdocument
+        quantity: { type: Number, required: true, min: 1 },
+        unitPrice: Number, // price when added, to flag later price changes
+        addedAt: { type: Date, default: Date.now }
+      }
+    ],
+    expiresAt: Date, // guest carts are removed once abandoned
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  cartSchema.index({ user: 1 }, { unique: true, partialFilterExpression: { user: { $type: "objectId" } } });
+  cartSchema.index({ token: 1 }, { unique: true, partialFilterExpression: { token: { $type: "string" } } });
+  // Index for automatic cleanup of abandoned guest carts
+  cartSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+  module.exports = mongoose.model("Cart", cartSchema);
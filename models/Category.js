@@ -3,6 +3,7 @@ const mongoose = require("mongoose");
 const categorySchema = new mongoose.Schema({
     name: { type: String, required: true, unique: true },
     description: String,
+    commissionRate: { type: Number, min: 0, max: 100 }, // platform commission in percent; PLATFORM_COMMISSION_RATE when unset
     createdAt: { type: Date, default: Date.now }
   });
   
@@ -0,0 +1,29 @@
+const mongoose = require("mongoose");
+
+const COUPON_TYPES = ["percentage", "fixed", "free_shipping"];
+
+const couponSchema = new mongoose.Schema({
+    code: { type: String, required: true, unique: true, uppercase: true, trim: true },
+    description: String,
+    type: { type: String, enum: COUPON_TYPES, required: true },
+    value: { type: Number, default: 0, min: 0 }, // percent for percentage, amount for fixed
+    maxDiscount: Number, // cap for percentage coupons
+    minOrderValue: { type: Number, default: 0 }, // measured on the items the coupon applies to
+    startsAt: Date,
+    endsAt: Date,
+    usageLimit: Number, // redemptions across all buyers; unlimited when unset
+    perUserLimit: Number, // redemptions per buyer (account, or email for guests)
+    usedCount: { type: Number, default: 0 },
+    // Empty means every category / every creator
+    categories: [{ type: mongoose.Schema.Types.ObjectId, ref: "Category" }],
+    creators: [{ type: mongoose.Schema.Types.ObjectId, ref: "User" }],
+    // Creator coupons are limited to the creator's own products and come out of their earnings
+    fundedBy: { type: String, enum: ["platform", "creator"], default: "platform" },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+    isActive: { type: Boolean, default: true },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  couponSchema.statics.TYPES = COUPON_TYPES;
+
+  module.exports = mongoose.model("Coupon", couponSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon", required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for guests
+    email: { type: String, lowercase: true, trim: true }, // guest buyer, for per-user limits
+    discount: { type: Number, required: true },
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  couponRedemptionSchema.index({ coupon: 1, user: 1 });
+  couponRedemptionSchema.index({ coupon: 1, email: 1 });
+
+  module.exports = mongoose.model("CouponRedemption", couponRedemptionSchema);
@@ -0,0 +1,15 @@
+const mongoose = require("mongoose");
+
+// Lease on a scheduled job, so only one app instance runs it at a time
+const jobLockSchema = new mongoose.Schema({
+    _id: { type: String, required: true }, // job name
+    lockedBy: String, // instance holding the lease, host:pid
+    lockedUntil: Date, // lease end; kept until the next scheduled run once a run finishes
+    running: { type: Boolean, default: false },
+    lastStartedAt: Date,
+    lastFinishedAt: Date,
+    lastResult: String,
+    lastError: String
+  });
+
+  module.exports = mongoose.model("JobLock", jobLockSchema);
@@ -0,0 +1,30 @@
+const mongoose = require("mongoose");
+
+// sale: net earnings for a delivered fulfillment group; refund: reverses a returned item's share,
+// or the creators' share of an order refund or chargeback;
+// payout: money requested out of the balance; payout_reversal: gives back a rejected payout
+const LEDGER_ENTRY_TYPES = ["sale", "refund", "payout", "payout_reversal"];
+
+const ledgerEntrySchema = new mongoose.Schema({
+    creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    type: { type: String, enum: LEDGER_ENTRY_TYPES, required: true },
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order" },
+    returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+    payout: { type: mongoose.Schema.Types.ObjectId, ref: "Payout" },
+    gross: { type: Number, default: 0 }, // amount the buyer paid for the items and their shipping
+    shipping: { type: Number, default: 0 }, // part of gross that paid for shipping; no commission on it
+    commission: { type: Number, default: 0 }, // platform's share of gross
+    amount: { type: Number, required: true }, // signed change to the creator's balance
+    // Sales are held until the return window closes, everything else is available at once
+    status: { type: String, enum: ["held", "available"], default: "available" },
+    availableAt: { type: Date, default: Date.now },
+    note: String,
+    createdAt: { type: Date, default: Date.now }
+  });
+
+  ledgerEntrySchema.index({ creator: 1, createdAt: -1 });
+  ledgerEntrySchema.index({ status: 1, availableAt: 1 });
+  // One sale entry per creator per order, however often delivery is reported
+  ledgerEntrySchema.index({ order: 1, creator: 1 }, { unique: true, partialFilterExpression: { type: "sale" } });
+
+  module.exports = mongoose.model("LedgerEntry", ledgerEntrySchema);
@@ -1,32 +1,154 @@
 const mongoose = require("mongoose");   
+const {
+  ORDER_STATUSES,
+  FULFILLMENT_STATUSES,
+  InvalidStatusTransitionError,
+  canTransition,
+  canFulfillmentTransition,
+  deriveOrderStatus
+} = require("../utils/orderStatus");
+
+const statusChange = (statuses) => ({
+    status: { type: String, enum: statuses, required: true },
+    from: { type: String, enum: statuses },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // null for guests and the system
+    note: String,
+    changedAt: { type: Date, default: Date.now }
+  });
+
+const trackingInfo = {
+    provider: String,
+    trackingNumber: String,
+    status: String
+  };
+
+// One creator's share of an order, fulfilled independently
+const fulfillmentSchema = new mongoose.Schema({
+    creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    status: { type: String, enum: FULFILLMENT_STATUSES, default: "pending" },
+    subtotal: { type: Number, default: 0 },
+    shippingCost: { type: Number, default: 0 }, // from the creator's shipping profile
+    discount: { type: Number, default: 0 }, // share of the order's coupon discount on this group's items
+    trackingInfo,
+    statusHistory: [statusChange(FULFILLMENT_STATUSES)]
+  });
 
 const orderSchema = new mongoose.Schema({
+    orderNumber: { type: String, unique: true, sparse: true }, // human-readable, e.g. CM-000123
+    invoiceNumber: { type: String, unique: true, sparse: true }, // given when the first invoice is issued
+    invoicedAt: Date,
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // can be null for anonymous
     products: [
       {
         product: { type: mongoose.Schema.Types.ObjectId, ref: "Product" },
-        quantity: { type: Number, required: true }
+        variant: { type: mongoose.Schema.Types.ObjectId }, // Product.variants subdocument
+        sku: String,
+        quantity: { type: Number, required: true },
+        // Snapshot taken at checkout so later product edits don't change the order
+        title: String,
+        unitPrice: Number,
+        listPrice: Number, // regular price when the item was bought on sale
+        creator: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        returnedQuantity: { type: Number, default: 0 } // received back through returns
       }
     ],
+    subtotal: Number,
+    shippingCost: { type: Number, default: 0 },
+    discount: { type: Number, default: 0 },
+    // Coupon applied at checkout
+    coupon: {
+      coupon: { type: mongoose.Schema.Types.ObjectId, ref: "Coupon" },
+      code: String,
+      type: { type: String },
+      fundedBy: String
+    },
     totalAmount: { type: Number, required: true },
     status: { 
       type: String, 
-      enum: ["pending", "confirmed", "shipped", "delivered", "cancelled", "returned"], 
+      enum: ORDER_STATUSES, 
       default: "pending" 
     },
-    shippingAddress: { type: String, required: true },
+    paymentStatus: {
+      type: String,
+      enum: ["unpaid", "pending", "paid", "failed", "cancelled", "chargedback", "refunded"],
+      default: "unpaid"
+    }, // mirrors the latest gateway result
+    paymentId: String, // gateway payment reference
+    statusHistory: [statusChange(ORDER_STATUSES)], // tracking timeline shown to the buyer
+    fulfillments: [fulfillmentSchema], // per-creator groups; the order status is derived from them
+    // Snapshot of the address chosen at checkout: { line1, line2, city, district, province, postalCode, country, phone }.
+    // Orders placed before structured addresses keep their free text, so both shapes are stored as is;
+    // formatAddress prints either.
+    shippingAddress: { type: mongoose.Schema.Types.Mixed, required: true },
     customerInfo: {
       name: String,
       email: String,
       phone: String
     },
-    trackingInfo: {
-      provider: String,
-      trackingNumber: String,
-      status: String
-    }, // optional: delivery company updates
+    trackingInfo, // optional: delivery company updates
     createdAt: { type: Date, default: Date.now }
   });
+
+  const recordStatus = (doc, status, { actor, note } = {}) => {
+    doc.statusHistory.push({
+      status,
+      from: doc.status,
+      changedBy: actor ? actor._id || actor : undefined,
+      note
+    });
+    doc.status = status;
+  };
+
+  // Move the order along the status graph, carrying every fulfillment group that can follow along with it
+  orderSchema.methods.setStatus = function (status, change = {}) {
+    if (!canTransition(this.status, status)) {
+      throw new InvalidStatusTransitionError(this.status, status);
+    }
+
+    for (const fulfillment of this.fulfillments) {
+      if (canFulfillmentTransition(fulfillment.status, status)) {
+        recordStatus(fulfillment, status, change);
+      }
+    }
+    recordStatus(this, status, change);
+  };
+
+  orderSchema.methods.getFulfillment = function (creatorId) {
+    return this.fulfillments.find(f => f.creator.toString() === creatorId.toString()) || null;
+  };
+
+  // Line items belonging to one creator's fulfillment group
+  orderSchema.methods.getCreatorItems = function (creatorId) {
+    return this.products.filter(item => item.creator && item.creator.toString() === creatorId.toString());
+  };
+
+  // Line items still holding stock: everything outside cancelled fulfillment groups
+  orderSchema.methods.getLiveItems = function () {
+    return this.products.filter(item => {
+      const fulfillment = item.creator && this.getFulfillment(item.creator);
+      return !fulfillment || fulfillment.status !== "cancelled";
+    });
+  };
+
+  // Move one creator's fulfillment group, then bring the order status in line with its groups
+  orderSchema.methods.setFulfillmentStatus = function (creatorId, status, change = {}) {
+    const fulfillment = this.getFulfillment(creatorId);
+    if (!fulfillment || !canFulfillmentTransition(fulfillment.status, status)) {
+      throw new InvalidStatusTransitionError(fulfillment ? fulfillment.status : "none", status);
+    }
+
+    recordStatus(fulfillment, status, change);
+    this.syncStatus(change);
+  };
+
+  orderSchema.methods.syncStatus = function (change = {}) {
+    if (this.fulfillments.length === 0) return;
+
+    const status = deriveOrderStatus(this.fulfillments, this.status);
+    if (status !== this.status) {
+      recordStatus(this, status, change);
+    }
+  };
   
   module.exports = mongoose.model("Order", orderSchema);
   
\ No newline at end of file
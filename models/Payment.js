@@ -4,10 +4,82 @@ const paymentSchema = new mongoose.Schema({
     order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
     amount: { type: Number, required: true },
     method: { type: String, enum: ["card", "cash_on_delivery", "bank_transfer"], required: true },
-    status: { type: String, enum: ["pending", "paid", "failed", "refunded"], default: "pending" },
+    provider: String, // payment provider that handles it, e.g. payhere
+    status: { type: String, enum: ["pending", "paid", "failed", "cancelled", "chargedback", "refunded"], default: "pending" },
+    currency: { type: String, default: "LKR" },
     transactionId: String, // if provided by payment gateway
+    gatewayStatusCode: String, // latest status code reported by the gateway
+    gatewayEvents: [
+      {
+        paymentId: String,
+        statusCode: String,
+        receivedAt: { type: Date, default: Date.now }
+      }
+    ], // processed notifications, used to ignore retries
+    refunds: [
+      {
+        amount: { type: Number, required: true },
+        reason: String,
+        returnRequest: { type: mongoose.Schema.Types.ObjectId, ref: "ReturnRequest" },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        // pending until sent to the provider; manual refunds are paid out by staff
+        status: { type: String, enum: ["pending", "processed", "manual", "failed"], default: "pending" },
+        providerRefundId: String,
+        failureReason: String,
+        processedAt: Date,
+        createdAt: { type: Date, default: Date.now }
+      }
+    ],
+    refundedAmount: { type: Number, default: 0 }, // status becomes refunded once this reaches amount
+    // Deposit slip uploaded by the buyer for bank transfers, checked by an admin
+    slip: {
+      image: String,
+      reference: String, // deposit reference written on the slip
+      uploadedAt: Date,
+      status: { type: String, enum: ["submitted", "approved", "rejected"] },
+      reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+      reviewedAt: Date,
+      rejectionReason: String
+    },
+    // Stock held for the order until payment arrives: held -> committed on payment, released on expiry or cancellation
+    reservation: {
+      status: { type: String, enum: ["held", "committed", "released"] },
+      expiresAt: Date,
+      releasedAt: Date // last time stock was given back, for the whole order or a cancelled group
+    },
     createdAt: { type: Date, default: Date.now }
   });
+
+  paymentSchema.index({ "reservation.status": 1, "reservation.expiresAt": 1 });
+  // A gateway payment settles one Payment only
+  paymentSchema.index({ transactionId: 1 }, { unique: true, sparse: true });
+  paymentSchema.index({ method: 1, "slip.status": 1 });
+  paymentSchema.index({ "refunds.status": 1 });
+
+  // Amount not refunded yet
+  paymentSchema.methods.getRefundableAmount = function () {
+    return Math.round((this.amount - this.refundedAmount) * 100) / 100;
+  };
+
+  // Record a refund against this payment; the amount is capped at what is left to refund.
+  // Returns the new refund entry, or null when nothing is left to refund.
+  paymentSchema.methods.addRefund = function ({ amount, reason, returnRequest, actor }) {
+    const refundAmount = Math.min(amount, this.getRefundableAmount());
+    if (refundAmount <= 0) return null;
+
+    this.refunds.push({
+      amount: refundAmount,
+      reason,
+      returnRequest,
+      createdBy: actor ? actor._id || actor : undefined
+    });
+    this.refundedAmount = Math.round((this.refundedAmount + refundAmount) * 100) / 100;
+    if (this.refundedAmount >= this.amount) {
+      this.status = "refunded";
+    }
+
+    return this.refunds[this.refunds.length - 1];
+  };
   
   module.exports = mongoose.model("Payment", paymentSchema);
   
\ No newline at end of file
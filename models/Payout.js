@@ -0,0 +1,46 @@
+const mongoose = require("mongoose");
+
+const PAYOUT_STATUSES = ["requested", "approved", "rejected", "paid"];
+
+// Allowed payout status changes: current status -> statuses it may move to
+const PAYOUT_STATUS_TRANSITIONS = {
+    requested: ["approved", "rejected"],
+    approved: ["paid", "rejected"],
+    rejected: [],
+    paid: []
+};
+
+const payoutSchema = new mongoose.Schema({
+    creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    amount: { type: Number, required: true, min: 0.01 },
+    currency: { type: String, default: "LKR" },
+    status: { type: String, enum: PAYOUT_STATUSES, default: "requested" },
+    note: String, // from the creator, e.g. which account to pay into
+    reference: String, // bank transfer reference once paid
+    rejectionReason: String,
+    history: [
+      {
+        status: { type: String, enum: PAYOUT_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+        changedAt: { type: Date, default: Date.now }
+      }
+    ],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+payoutSchema.index({ creator: 1, createdAt: -1 });
+payoutSchema.index({ status: 1 });
+
+payoutSchema.methods.canTransition = function (status) {
+    return PAYOUT_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+payoutSchema.methods.setStatus = function (status, { actor, note } = {}) {
+    this.history.push({ status, changedBy: actor ? actor._id || actor : undefined, note });
+    this.status = status;
+    this.updatedAt = new Date();
+};
+
+module.exports = mongoose.model("Payout", payoutSchema);
@@ -1,14 +1,47 @@
 const mongoose = require("mongoose");   
 
+// Scheduled sale: price applies from startsAt until endsAt, then the regular price is back
+const sale = {
+    price: Number,
+    startsAt: Date,
+    endsAt: Date
+  };
+
+const variantSchema = new mongoose.Schema({
+    sku: { type: String, required: true },
+    options: { type: Map, of: String }, // e.g. { Size: "M", Colour: "Red" }
+    price: { type: Number, required: true },
+    stock: { type: Number, required: true },
+    images: [String], // subset of the product images
+    sale,
+    isActive: { type: Boolean, default: true }
+  });
+
 const productSchema = new mongoose.Schema({
     title: { type: String, required: true },
     description: String,
-    price: { type: Number, required: true },
-    stock: { type: Number, required: true }, // in-stock / out-stock
+    price: { type: Number, required: true }, // lowest variant price when variants exist
+    stock: { type: Number, required: true }, // in-stock / out-stock; sum of variant stock when variants exist
     images: [String],
+    sale, // for products without variants; variants carry their own
+    weight: Number, // grams, packed
+    dimensions: {
+      length: Number, // cm
+      width: Number,
+      height: Number
+    },
+    options: [
+      {
+        name: { type: String, required: true }, // e.g. Size, Colour, Material
+        values: [String]
+      }
+    ],
+    variants: [variantSchema],
     category: { type: mongoose.Schema.Types.ObjectId, ref: "Category" },
     creator: { type: mongoose.Schema.Types.ObjectId, ref: "User" }, // Seller/Creator
     isActive: { type: Boolean, default: true },
+    averageRating: { type: Number, default: 0 }, // cached from reviews
+    reviewCount: { type: Number, default: 0 },
     createdAt: { type: Date, default: Date.now }
   });
   
@@ -0,0 +1,60 @@
+const mongoose = require("mongoose");
+
+const RETURN_STATUSES = ["requested", "approved", "rejected", "shipped_back", "received"];
+
+// Allowed return status changes: current status -> statuses it may move to
+const RETURN_STATUS_TRANSITIONS = {
+    requested: ["approved", "rejected"],
+    approved: ["shipped_back", "received"],
+    shipped_back: ["received"],
+    rejected: [],
+    received: []
+};
+
+// Statuses still waiting on someone; these make up the review queues
+const OPEN_RETURN_STATUSES = ["requested", "approved", "shipped_back"];
+
+const returnRequestSchema = new mongoose.Schema({
+    order: { type: mongoose.Schema.Types.ObjectId, ref: "Order", required: true },
+    lineItem: { type: mongoose.Schema.Types.ObjectId, required: true }, // Order.products subdocument
+    product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
+    variant: { type: mongoose.Schema.Types.ObjectId },
+    quantity: { type: Number, required: true, min: 1 },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true }, // buyer
+    creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
+    reason: { type: String, required: true },
+    photos: [String],
+    status: { type: String, enum: RETURN_STATUSES, default: "requested" },
+    returnTrackingInfo: {
+      provider: String,
+      trackingNumber: String
+    }, // parcel the buyer sends back
+    refundAmount: Number,
+    history: [
+      {
+        status: { type: String, enum: RETURN_STATUSES, required: true },
+        changedBy: { type: mongoose.Schema.Types.ObjectId, ref: "User" },
+        note: String,
+        changedAt: { type: Date, default: Date.now }
+      }
+    ],
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: { type: Date, default: Date.now }
+});
+
+returnRequestSchema.index({ order: 1, lineItem: 1 });
+returnRequestSchema.index({ creator: 1, status: 1 });
+
+returnRequestSchema.statics.OPEN_STATUSES = OPEN_RETURN_STATUSES;
+
+returnRequestSchema.methods.canTransition = function (status) {
+    return RETURN_STATUS_TRANSITIONS[this.status].includes(status);
+};
+
+returnRequestSchema.methods.setStatus = function (status, { actor, note } = {}) {
+    this.history.push({ status, changedBy: actor ? actor._id || actor : undefined, note });
+    this.status = status;
+    this.updatedAt = new Date();
+};
+
+module.exports = mongoose.model("ReturnRequest", returnRequestSchema);
@@ -1,12 +1,28 @@
-const mongoose = require("mongoose");   
+const mongoose = require("mongoose");
 
 const reviewSchema = new mongoose.Schema({
     product: { type: mongoose.Schema.Types.ObjectId, ref: "Product", required: true },
     user: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true },
     rating: { type: Number, min: 1, max: 5, required: true },
     comment: String,
-    createdAt: { type: Date, default: Date.now }
+    createdAt: { type: Date, default: Date.now },
+    updatedAt: Date
   });
-  
+
+  // One review per buyer and product
+  reviewSchema.index({ product: 1, user: 1 }, { unique: true });
+
+  // Recalculate the cached rating summary stored on the product
+  reviewSchema.statics.updateProductRating = async function (productId) {
+    const [summary] = await this.aggregate([
+      { $match: { product: new mongoose.Types.ObjectId(productId) } },
+      { $group: { _id: '$product', average: { $avg: '$rating' }, count: { $sum: 1 } } }
+    ]);
+
+    await mongoose.model("Product").findByIdAndUpdate(productId, {
+      averageRating: summary ? Math.round(summary.average * 10) / 10 : 0,
+      reviewCount: summary ? summary.count : 0
+    });
+  };
+
   module.exports = mongoose.model("Review", reviewSchema);
-  
\ No newline at end of file
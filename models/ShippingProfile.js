@@ -0,0 +1,22 @@
+const mongoose = require("mongoose");
+
+// One shipping rate. The cost for a creator's items is baseRate + perItemRate * quantity + perKgRate * kg
+// (rounded up), or nothing once the creator's subtotal reaches freeAbove.
+const shippingRateSchema = new mongoose.Schema({
+    name: String, // e.g. "Colombo same day", "Rest of Sri Lanka", "International"
+    zone: { type: String, enum: ["domestic", "international"], required: true },
+    districts: [String], // domestic rates only; empty covers every district not listed elsewhere
+    countries: [String], // international rates only, ISO codes; empty covers the rest of the world
+    baseRate: { type: Number, default: 0, min: 0 },
+    perItemRate: { type: Number, default: 0, min: 0 },
+    perKgRate: { type: Number, default: 0, min: 0 },
+    freeAbove: { type: Number, min: 0 }
+  });
+
+const shippingProfileSchema = new mongoose.Schema({
+    creator: { type: mongoose.Schema.Types.ObjectId, ref: "User", required: true, unique: true },
+    rates: [shippingRateSchema],
+    updatedAt: { type: Date, default: Date.now }
+  });
+
+  module.exports = mongoose.model("ShippingProfile", shippingProfileSchema);
@@ -7,7 +7,7 @@ const userSchema = new mongoose.Schema({
   role: { type: String, enum: ["admin", "creator", "user"], default: "user" },
   isActive: { type: Boolean, default: true },
   phone: { type: String },
-  address: { type: String },
+  address: { type: String }, // legacy free text; moved into the address book by importLegacyAddress
   favorites: [{ type: mongoose.Schema.Types.ObjectId, ref: "Product" }], // optional
   createdAt: { type: Date, default: Date.now }
 });
@@ -5,6 +5,7 @@ const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
 const Category = require('../models/Category');
+const { getJob, getJobStatus, runJob } = require('../utils/jobs');
 const router = express.Router();
 
 // Dashboard statistics
@@ -295,7 +296,7 @@ router.get('/categories', authenticateToken, authorizeRoles('admin'), async (req
 // Create category
 router.post('/categories', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, commissionRate } = req.body;
 
     if (!name) {
       return res.status(400).json({ error: 'Category name is required' });
@@ -306,7 +307,7 @@ router.post('/categories', authenticateToken, authorizeRoles('admin'), async (re
       return res.status(400).json({ error: 'Category already exists' });
     }
 
-    const category = new Category({ name, description });
+    const category = new Category({ name, description, commissionRate });
     await category.save();
 
     res.status(201).json(category);
@@ -319,10 +320,10 @@ router.post('/categories', authenticateToken, authorizeRoles('admin'), async (re
 // Update category
 router.put('/categories/:id', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
-    const { name, description } = req.body;
+    const { name, description, commissionRate } = req.body;
     const category = await Category.findByIdAndUpdate(
       req.params.id,
-      { name, description },
+      { name, description, commissionRate },
       { new: true, runValidators: true }
     );
 
@@ -421,4 +422,35 @@ router.get('/reports/sales', authenticateToken, authorizeRoles('admin'), async (
   }
 });
 
+// Scheduled jobs and the outcome of their last run
+router.get('/jobs', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    res.json(await getJobStatus());
+  } catch (error) {
+    console.error('Get jobs error:', error);
+    res.status(500).json({ error: 'Failed to fetch jobs' });
+  }
+});
+
+// Run a scheduled job now, unless it is already running somewhere
+router.post('/jobs/:name/run', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const job = getJob(req.params.name);
+    if (!job) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+
+    const ran = await runJob(job, { force: true });
+    if (!ran) {
+      return res.status(409).json({ error: 'Job is already running' });
+    }
+
+    const status = (await getJobStatus()).find(entry => entry.name === job.name);
+    res.json({ message: 'Job finished', job: status });
+  } catch (error) {
+    console.error('Run job error:', error);
+    res.status(500).json({ error: 'Failed to run job' });
+  }
+});
+
 module.exports = router;
@@ -1,10 +1,15 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const bcrypt = require('bcrypt');
 const { generateToken } = require('../utils/jwt');
 const { authenticateToken } = require('../middleware/auth');
 const User = require('../models/User');
+const Address = require('../models/Address');
+const Product = require('../models/Product');
 const Token = require('../models/Token');
 const sendEmail = require('../utils/sendEmail');
+const { getCartToken, mergeGuestCart } = require('../utils/cart');
+const { parseAddress, setDefaultAddress, importLegacyAddress } = require('../utils/addresses');
 const router = express.Router();
 
 // Register user
@@ -25,6 +30,16 @@ router.post('/register', async (req, res) => {
       return res.status(400).json({ error: 'Invalid role' });
     }
 
+    // Optional first address, saved as the default shipping address
+    let parsedAddress = null;
+    if (address) {
+      const result = parseAddress(address);
+      if (result.error) {
+        return res.status(400).json({ error: result.error });
+      }
+      parsedAddress = result.address;
+    }
+
     // Check if user already exists
     const existingUser = await User.findOne({ email });
     if (existingUser) {
@@ -41,12 +56,15 @@ router.post('/register', async (req, res) => {
       password: hashedPassword,
       role,
       phone,
-      address,
       isActive: false
     });
 
     await user.save();
 
+    if (parsedAddress) {
+      await Address.create({ ...parsedAddress, user: user._id, isDefault: true });
+    }
+
     // Generate verification token
     const verificationToken = Math.random().toString(36).substring(2) + Date.now().toString(36);
     const expiresAt = new Date(Date.now() + 24 * 60 * 60 * 1000); // 24 hours from now
@@ -109,16 +127,26 @@ router.post('/login', async (req, res) => {
     // Generate token
     const token = generateToken(user);
 
+    // Carry over anything added to the cart before signing in
+    let cart = null;
+    try {
+      cart = await mergeGuestCart(getCartToken(req), user);
+    } catch (error) {
+      console.error('Merge guest cart error:', error);
+    }
+
+    await importLegacyAddress(user);
     res.json({
       message: 'Login successful',
       token,
+      cartMerged: !!cart,
       user: {
         id: user._id,
         name: user.name,
         email: user.email,
         role: user.role,
         phone: user.phone,
-        address: user.address
+        address: await Address.findOne({ user: user._id, isDefault: true })
       }
     });
   } catch (error) {
@@ -179,12 +207,11 @@ router.get('/me', authenticateToken, async (req, res) => {
 // Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { name, phone, address } = req.body;
+    const { name, phone } = req.body;
     const updates = {};
 
     if (name) updates.name = name;
     if (phone) updates.phone = phone;
-    if (address) updates.address = address;
 
     const user = await User.findByIdAndUpdate(
       req.user._id,
@@ -199,6 +226,169 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Get user's address book, default address first
+router.get('/addresses', authenticateToken, async (req, res) => {
+  try {
+    await importLegacyAddress(req.user);
+    const addresses = await Address.find({ user: req.user._id }).sort({ isDefault: -1, createdAt: -1 });
+    res.json(addresses);
+  } catch (error) {
+    console.error('Get addresses error:', error);
+    res.status(500).json({ error: 'Failed to fetch addresses' });
+  }
+});
+
+// Add an address; the first one, or one sent with isDefault, becomes the default shipping address
+router.post('/addresses', authenticateToken, async (req, res) => {
+  try {
+    const { address, error } = parseAddress(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const hasDefault = await Address.exists({ user: req.user._id, isDefault: true });
+    const entry = await Address.create({ ...address, label: req.body.label, user: req.user._id });
+
+    if (!hasDefault || req.body.isDefault) {
+      await setDefaultAddress(req.user._id, entry._id);
+      entry.isDefault = true;
+    }
+
+    res.status(201).json(entry);
+  } catch (error) {
+    console.error('Add address error:', error);
+    res.status(500).json({ error: 'Failed to add address' });
+  }
+});
+
+// Replace an address
+router.put('/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await Address.findOne({ _id: req.params.id, user: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    const { address, error } = parseAddress(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    // Clear optional fields left out of the new version
+    ['line2', 'district', 'province', 'postalCode', 'phone'].forEach(field => { entry[field] = undefined; });
+    entry.set({ ...address, label: req.body.label });
+    await entry.save();
+
+    if (req.body.isDefault && !entry.isDefault) {
+      await setDefaultAddress(req.user._id, entry._id);
+      entry.isDefault = true;
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Update address error:', error);
+    res.status(500).json({ error: 'Failed to update address' });
+  }
+});
+
+// Make an address the default shipping address
+router.patch('/addresses/:id/default', authenticateToken, async (req, res) => {
+  try {
+    const entry = await Address.findOne({ _id: req.params.id, user: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    await setDefaultAddress(req.user._id, entry._id);
+    entry.isDefault = true;
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Set default address error:', error);
+    res.status(500).json({ error: 'Failed to set default address' });
+  }
+});
+
+// Delete an address; the newest remaining one takes over as default
+router.delete('/addresses/:id', authenticateToken, async (req, res) => {
+  try {
+    const entry = await Address.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+    if (!entry) {
+      return res.status(404).json({ error: 'Address not found' });
+    }
+
+    if (entry.isDefault) {
+      const next = await Address.findOne({ user: req.user._id }).sort({ createdAt: -1 });
+      if (next) await setDefaultAddress(req.user._id, next._id);
+    }
+
+    res.json({ message: 'Address deleted successfully' });
+  } catch (error) {
+    console.error('Delete address error:', error);
+    res.status(500).json({ error: 'Failed to delete address' });
+  }
+});
+
+// Get user's favorite products
+router.get('/favorites', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id)
+      .select('favorites')
+      .populate({
+        path: 'favorites',
+        match: { isActive: true },
+        select: 'title price images averageRating reviewCount category creator',
+        populate: [
+          { path: 'category', select: 'name' },
+          { path: 'creator', select: 'name' }
+        ]
+      });
+
+    // Inactive products are filtered out by populate and come back as null
+    res.json(user.favorites.filter(Boolean));
+  } catch (error) {
+    console.error('Get favorites error:', error);
+    res.status(500).json({ error: 'Failed to fetch favorites' });
+  }
+});
+
+// Add product to favorites
+router.post('/favorites/:productId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    const product = await Product.findById(req.params.productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $addToSet: { favorites: product._id } });
+
+    res.json({ message: 'Product added to favorites', productId: product._id });
+  } catch (error) {
+    console.error('Add favorite error:', error);
+    res.status(500).json({ error: 'Failed to add favorite' });
+  }
+});
+
+// Remove product from favorites
+router.delete('/favorites/:productId', authenticateToken, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.productId)) {
+      return res.status(400).json({ error: 'Invalid product ID' });
+    }
+
+    await User.findByIdAndUpdate(req.user._id, { $pull: { favorites: req.params.productId } });
+
+    res.json({ message: 'Product removed from favorites', productId: req.params.productId });
+  } catch (error) {
+    console.error('Remove favorite error:', error);
+    res.status(500).json({ error: 'Failed to remove favorite' });
+  }
+});
+
 // Resend verification email
 router.post('/resend-verification', async (req, res) => {
   try {
@@ -0,0 +1,135 @@
+const express = require('express');
+const { optionalAuthenticate } = require('../middleware/auth');
+const Product = require('../models/Product');
+const { findCart, findOrCreateCart, saveCart, checkCartItem, describeCart } = require('../utils/cart');
+const router = express.Router();
+
+// Guests identify their cart with the X-Cart-Token header returned when it was created
+router.use(optionalAuthenticate);
+
+const parseQuantity = (value) => {
+  const quantity = parseInt(value);
+  return Number.isInteger(quantity) && quantity >= 0 ? quantity : null;
+};
+
+// Get the caller's cart, priced at live prices
+router.get('/', async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    res.json(await describeCart(cart));
+  } catch (error) {
+    console.error('Get cart error:', error);
+    res.status(500).json({ error: 'Failed to fetch cart' });
+  }
+});
+
+// Add an item; adding an item already in the cart increases its quantity
+router.post('/items', async (req, res) => {
+  try {
+    const { product: productId, variant: variantId } = req.body;
+    const quantity = parseQuantity(req.body.quantity === undefined ? 1 : req.body.quantity);
+    if (!quantity) {
+      return res.status(400).json({ error: 'Quantity must be at least 1' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    const cart = await findOrCreateCart(req);
+    const existing = cart.items.find(item =>
+      item.product.toString() === product._id.toString() &&
+      String(item.variant || '') === String(variantId || '')
+    );
+
+    const { variant, unitPrice, error } = checkCartItem(product, variantId, quantity + (existing ? existing.quantity : 0));
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (existing) {
+      existing.quantity += quantity;
+      existing.unitPrice = unitPrice;
+    } else {
+      cart.items.push({ product: product._id, variant: variant ? variant._id : undefined, quantity, unitPrice });
+    }
+    await saveCart(cart);
+
+    res.status(201).json(await describeCart(cart));
+  } catch (error) {
+    console.error('Add cart item error:', error);
+    res.status(500).json({ error: 'Failed to add item to cart' });
+  }
+});
+
+// Change an item's quantity; 0 removes it
+router.patch('/items/:itemId', async (req, res) => {
+  try {
+    const quantity = parseQuantity(req.body.quantity);
+    if (quantity === null) {
+      return res.status(400).json({ error: 'Quantity must be 0 or more' });
+    }
+
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    if (quantity === 0) {
+      item.deleteOne();
+    } else {
+      const product = await Product.findById(item.product);
+      const { unitPrice, error } = checkCartItem(product, item.variant, quantity);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      item.quantity = quantity;
+      item.unitPrice = unitPrice;
+    }
+    await saveCart(cart);
+
+    res.json(await describeCart(cart));
+  } catch (error) {
+    console.error('Update cart item error:', error);
+    res.status(500).json({ error: 'Failed to update cart item' });
+  }
+});
+
+// Remove an item
+router.delete('/items/:itemId', async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    const item = cart && cart.items.id(req.params.itemId);
+    if (!item) {
+      return res.status(404).json({ error: 'Cart item not found' });
+    }
+
+    item.deleteOne();
+    await saveCart(cart);
+
+    res.json(await describeCart(cart));
+  } catch (error) {
+    console.error('Remove cart item error:', error);
+    res.status(500).json({ error: 'Failed to remove cart item' });
+  }
+});
+
+// Empty the cart
+router.delete('/', async (req, res) => {
+  try {
+    const cart = await findCart(req);
+    if (cart) {
+      cart.items = [];
+      await saveCart(cart);
+    }
+
+    res.json(await describeCart(cart));
+  } catch (error) {
+    console.error('Clear cart error:', error);
+    res.status(500).json({ error: 'Failed to clear cart' });
+  }
+});
+
+module.exports = router;
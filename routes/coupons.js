@@ -0,0 +1,246 @@
+const express = require('express');
+const { authenticateToken, optionalAuthenticate, authorizeRoles } = require('../middleware/auth');
+const Coupon = require('../models/Coupon');
+const { loadCartItems } = require('../utils/checkout');
+const { priceOrder, applyDiscount } = require('../utils/pricing');
+const { evaluateCoupon } = require('../utils/coupons');
+const { quoteShipping } = require('../utils/shipping');
+const { resolveShippingAddress, toDestination } = require('../utils/addresses');
+const router = express.Router();
+
+const isOwner = (id, user) => id && id.toString() === user._id.toString();
+
+// Optional positive whole number from the request body; null clears it
+const parseLimit = (value) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const limit = parseInt(value);
+  return Number.isInteger(limit) && limit > 0 ? { value: limit } : { error: true };
+};
+
+// Optional date from the request body; null clears it
+const parseDate = (value) => {
+  if (value === undefined || value === null || value === '') return { value: null };
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? { error: true } : { value: date };
+};
+
+/**
+ * Validates coupon fields from the request body. Creator coupons are always scoped to the creator's products.
+ * @returns {object} - { coupon } with the fields to save, or { error }
+ */
+const parseCoupon = (body, user) => {
+  const { code, description, type, categories } = body;
+
+  if (!code || !/^[A-Za-z0-9_-]{3,30}$/.test(code)) {
+    return { error: 'Code must be 3-30 letters, numbers, dashes or underscores' };
+  }
+  if (!Coupon.TYPES.includes(type)) {
+    return { error: `Type must be one of ${Coupon.TYPES.join(', ')}` };
+  }
+
+  const value = type === 'free_shipping' ? 0 : parseFloat(body.value);
+  if (type === 'percentage' && !(value > 0 && value <= 100)) {
+    return { error: 'Percentage must be between 0 and 100' };
+  }
+  if (type === 'fixed' && !(value > 0)) {
+    return { error: 'Discount amount must be greater than 0' };
+  }
+
+  const startsAt = parseDate(body.startsAt);
+  const endsAt = parseDate(body.endsAt);
+  if (startsAt.error || endsAt.error) {
+    return { error: 'Invalid start or end date' };
+  }
+  if (startsAt.value && endsAt.value && endsAt.value <= startsAt.value) {
+    return { error: 'End date must be after the start date' };
+  }
+
+  const usageLimit = parseLimit(body.usageLimit);
+  const perUserLimit = parseLimit(body.perUserLimit);
+  if (usageLimit.error || perUserLimit.error) {
+    return { error: 'Usage limits must be whole numbers greater than 0' };
+  }
+
+  const minOrderValue = parseFloat(body.minOrderValue || 0);
+  const maxDiscount = body.maxDiscount ? parseFloat(body.maxDiscount) : null;
+  if (!(minOrderValue >= 0) || (maxDiscount !== null && !(maxDiscount > 0))) {
+    return { error: 'Minimum order value and maximum discount must be positive amounts' };
+  }
+
+  const isCreator = user.role === 'creator';
+  return {
+    coupon: {
+      code,
+      description,
+      type,
+      value,
+      maxDiscount,
+      minOrderValue,
+      startsAt: startsAt.value,
+      endsAt: endsAt.value,
+      usageLimit: usageLimit.value,
+      perUserLimit: perUserLimit.value,
+      categories: Array.isArray(categories) ? categories : [],
+      creators: isCreator ? [user._id] : (Array.isArray(body.creators) ? body.creators : []),
+      fundedBy: isCreator ? 'creator' : 'platform',
+      isActive: body.isActive !== undefined ? !!body.isActive : true
+    }
+  };
+};
+
+// Preview a coupon against a cart before checkout
+router.post('/validate', optionalAuthenticate, async (req, res) => {
+  try {
+    const { code, products, customerEmail } = req.body;
+
+    if (!code) {
+      return res.status(400).json({ error: 'Coupon code is required' });
+    }
+
+    const { cartItems, error: cartError } = await loadCartItems(products);
+    if (cartError) {
+      return res.status(400).json({ error: cartError });
+    }
+
+    // Same address checkout would ship to, so the preview matches the order total
+    const { address: shippingAddress, error: addressError } = await resolveShippingAddress(req.body, req.user);
+    if (addressError) {
+      return res.status(400).json({ error: addressError });
+    }
+    const shipping = await quoteShipping(cartItems, toDestination(shippingAddress));
+    if (shipping.error) {
+      return res.status(400).json({ error: shipping.error });
+    }
+
+    const pricing = priceOrder(cartItems, shipping);
+    const result = await evaluateCoupon(code, { cartItems, pricing, user: req.user, email: customerEmail });
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    const discounted = applyDiscount(pricing, result.discount);
+    res.json({
+      code: result.coupon.code,
+      type: result.coupon.type,
+      description: result.coupon.description,
+      pricing: {
+        subtotal: discounted.subtotal,
+        shippingCost: discounted.shippingCost,
+        discount: discounted.discount,
+        totalAmount: discounted.totalAmount
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({ error: 'Failed to validate coupon' });
+  }
+});
+
+// List coupons: all for admins, their own for creators
+router.get('/', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, isActive } = req.query;
+
+    const query = {};
+    if (req.user.role === 'creator') query.createdBy = req.user._id;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+
+    const coupons = await Coupon.find(query)
+      .populate('categories', 'name')
+      .populate('creators', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Coupon.countDocuments(query);
+
+    res.json({
+      coupons,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get coupons error:', error);
+    res.status(500).json({ error: 'Failed to fetch coupons' });
+  }
+});
+
+// Create coupon (admin, or creator for their own products)
+router.post('/', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const { coupon: data, error } = parseCoupon(req.body, req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const coupon = new Coupon({ ...data, createdBy: req.user._id });
+    await coupon.save();
+
+    res.status(201).json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Create coupon error:', error);
+    res.status(500).json({ error: 'Failed to create coupon' });
+  }
+});
+
+// Update coupon (its creator or admin)
+router.put('/:id', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    if (req.user.role !== 'admin' && !isOwner(coupon.createdBy, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this coupon' });
+    }
+
+    // Creator coupons stay scoped to that creator, whoever edits them
+    const { coupon: data, error } = parseCoupon(req.body, coupon.fundedBy === 'creator' ? { role: 'creator', _id: coupon.createdBy } : req.user);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    coupon.set(data);
+    await coupon.save();
+
+    res.json(coupon);
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ error: 'A coupon with this code already exists' });
+    }
+    console.error('Update coupon error:', error);
+    res.status(500).json({ error: 'Failed to update coupon' });
+  }
+});
+
+// Delete coupon (its creator or admin); coupons already redeemed are deactivated instead
+router.delete('/:id', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) {
+      return res.status(404).json({ error: 'Coupon not found' });
+    }
+    if (req.user.role !== 'admin' && !isOwner(coupon.createdBy, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to delete this coupon' });
+    }
+
+    if (coupon.usedCount > 0) {
+      coupon.isActive = false;
+      await coupon.save();
+      return res.json({ message: 'Coupon has been redeemed, so it was deactivated instead' });
+    }
+
+    await Coupon.findByIdAndDelete(coupon._id);
+    res.json({ message: 'Coupon deleted successfully' });
+  } catch (error) {
+    console.error('Delete coupon error:', error);
+    res.status(500).json({ error: 'Failed to delete coupon' });
+  }
+});
+
+module.exports = router;
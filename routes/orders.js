@@ -1,104 +1,237 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { authenticateToken, optionalAuthenticate, authorizeRoles } = require('../middleware/auth');
 const Order = require('../models/Order');
+const User = require('../models/User');
 const Product = require('../models/Product');
 const Payment = require('../models/Payment');
+const Cart = require('../models/Cart');
+const CouponRedemption = require('../models/CouponRedemption');
+const { loadCartItems } = require('../utils/checkout');
+const { findCart } = require('../utils/cart');
+const { roundCurrency, priceOrder, applyDiscount, groupByCreator, totalsMatch } = require('../utils/pricing');
+const { CouponLimitError, evaluateCoupon, redeemCoupon, releaseCoupon } = require('../utils/coupons');
+const { quoteShipping } = require('../utils/shipping');
+const { resolveShippingAddress, toDestination } = require('../utils/addresses');
+const { ORDER_STATUSES, ORDER_STATUS_TRANSITIONS, FULFILLMENT_STATUS_TRANSITIONS, canTransition, canFulfillmentTransition } = require('../utils/orderStatus');
+const notifyBuyer = require('../utils/notifyBuyer');
+const cancelOrder = require('../utils/cancelOrder');
+const { releaseOrderStock, releaseItemStock } = require('../utils/reservations');
+const { getProvider, getProviderForPayment } = require('../utils/paymentProviders');
+const { settleOnDelivery } = require('../utils/paymentResults');
+const { creditDeliveredFulfillments, releaseHeldFunds, getCreatorBalance } = require('../utils/ledger');
+const { createOrderAccessToken, getOrderAccessUrl, guestOrderQuery, canAccessOrder } = require('../utils/orderAccess');
+const { nextOrderNumber } = require('../utils/counters');
+const { assignInvoiceNumber, renderInvoice, renderPackingSlip } = require('../utils/orderDocuments');
+const { InsufficientStockError, takeStock } = require('../utils/inventory');
 const router = express.Router();
 
+// Whether a line item belongs to a creator (snapshot first, populated product for older orders)
+const isCreatorItem = (item, creatorId) => {
+  const creator = item.creator || (item.product && item.product.creator);
+  return !!creator && creator.toString() === creatorId.toString();
+};
+
+// A creator's view of an order: only their line items and their fulfillment group
+const toCreatorView = (order, creatorId) => {
+  const view = order.toObject();
+  view.products = view.products.filter(item => isCreatorItem(item, creatorId));
+  view.fulfillment = order.getFulfillment(creatorId);
+  delete view.fulfillments;
+  return view;
+};
+
 // Create order (authenticated user or guest)
 router.post('/', optionalAuthenticate, async (req, res) => {
   try {
     const { 
       products, 
-      shippingAddress, 
       customerName, 
       customerEmail, 
       customerPhone,
       totalAmount,
-      paymentMethod 
+      paymentMethod,
+      couponCode,
+      fromCart
     } = req.body;
 
-    if (!products || !Array.isArray(products) || products.length === 0) {
-      return res.status(400).json({ error: 'Products are required' });
+    // Structured address sent with the order, or one from the buyer's address book
+    const { address: shippingAddress, error: addressError } = await resolveShippingAddress(req.body, req.user);
+    if (addressError) {
+      return res.status(400).json({ error: addressError });
     }
 
-    if (!shippingAddress) {
-      return res.status(400).json({ error: 'Shipping address is required' });
+    // Check out the caller's saved cart instead of a products list
+    let cart = null;
+    if (fromCart) {
+      cart = await findCart(req);
+      if (!cart || cart.items.length === 0) {
+        return res.status(400).json({ error: 'Your cart is empty' });
+      }
     }
 
-    // Validate products and check stock
-    for (const item of products) {
-      const product = await Product.findById(item.product);
-      if (!product) {
-        return res.status(400).json({ error: `Product ${item.product} not found` });
-      }
-      if (!product.isActive) {
-        return res.status(400).json({ error: `Product ${product.title} is not available` });
-      }
-      if (product.stock < item.quantity) {
-        return res.status(400).json({ error: `Insufficient stock for ${product.title}` });
+    // Validate products and variants; stock is checked when it is taken
+    const { cartItems, error: cartError } = await loadCartItems(cart ? cart.items : products);
+    if (cartError) {
+      return res.status(400).json({ error: cartError });
+    }
+
+    // Shipping per creator, from their shipping profiles
+    const shipping = await quoteShipping(cartItems, toDestination(shippingAddress));
+    if (shipping.error) {
+      return res.status(400).json({ error: shipping.error });
+    }
+
+    // Price the order from current product data
+    let pricing = priceOrder(cartItems, shipping);
+    const { lineItems } = pricing;
+
+    let couponResult = null;
+    if (couponCode) {
+      couponResult = await evaluateCoupon(couponCode, { cartItems, pricing, user: req.user, email: customerEmail });
+      if (couponResult.error) {
+        return res.status(400).json({ error: couponResult.error });
       }
+      pricing = applyDiscount(pricing, couponResult.discount);
+    }
+
+    if (totalAmount !== undefined && !totalsMatch(totalAmount, pricing.totalAmount)) {
+      return res.status(400).json({
+        error: 'Order total does not match current prices',
+        pricing: {
+          subtotal: pricing.subtotal,
+          shippingCost: pricing.shippingCost,
+          discount: pricing.discount,
+          totalAmount: pricing.totalAmount
+        }
+      });
     }
 
     // Create order
     const orderData = {
-      products,
-      totalAmount,
+      products: lineItems,
+      subtotal: pricing.subtotal,
+      shippingCost: pricing.shippingCost,
+      discount: pricing.discount,
+      totalAmount: pricing.totalAmount,
       shippingAddress,
-      status: 'pending'
+      status: 'pending',
+      statusHistory: [{ status: 'pending', changedBy: req.user ? req.user._id : undefined, note: 'Order placed' }],
+      // Split into one fulfillment group per creator
+      fulfillments: groupByCreator(lineItems, pricing.shipping).map(group => ({
+        ...group,
+        discount: couponResult ? couponResult.allocations.get(group.creator.toString()) || 0 : 0,
+        statusHistory: [{ status: 'pending', note: 'Order placed' }]
+      }))
     };
 
+    if (couponResult) {
+      const { coupon } = couponResult;
+      orderData.coupon = { coupon: coupon._id, code: coupon.code, type: coupon.type, fundedBy: coupon.fundedBy };
+    }
+
     // Add user if authenticated
     if (req.user) {
       orderData.user = req.user._id;
     } else {
       // For guest orders, store customer info
-      if (!customerName || !customerEmail || !customerPhone) {
+      const phone = customerPhone || shippingAddress.phone;
+      if (!customerName || !customerEmail || !phone) {
         return res.status(400).json({ error: 'Customer information is required for guest orders' });
       }
       orderData.customerInfo = {
         name: customerName,
         email: customerEmail,
-        phone: customerPhone
+        phone
       };
     }
 
-    const order = new Order(orderData);
-    await order.save();
+    // Payment provider chosen at checkout (PayHere by default)
+    const provider = getProvider(paymentMethod || 'payhere');
+    if (!provider) {
+      return res.status(400).json({ error: 'Payment method is not available' });
+    }
+
+    // Take stock, save the order and its payment record together or not at all
+    let order;
+    let payment;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        await takeStock(lineItems, session);
+
+        order = new Order({ ...orderData, orderNumber: await nextOrderNumber(session) });
+        await order.save({ session });
+
+        if (couponResult) {
+          await redeemCoupon(couponResult.coupon, order, {
+            user: req.user,
+            email: customerEmail,
+            discount: pricing.discount
+          }, session);
+        }
+
+        payment = new Payment({
+          order: order._id,
+          amount: pricing.totalAmount,
+          method: provider.method,
+          provider: provider.name,
+          status: 'pending',
+          reservation: provider.getReservation()
+        });
+        await payment.save({ session });
 
-    // Update product stock
-    for (const item of products) {
-      await Product.findByIdAndUpdate(item.product, {
-        $inc: { stock: -item.quantity }
+        if (cart) {
+          await Cart.updateOne({ _id: cart._id }, { $set: { items: [], updatedAt: new Date() } }, { session });
+        }
       });
+    } finally {
+      await session.endSession();
     }
 
-    // Create payment record
-    let paymentMethodValue = 'card'; // Default
-    if (paymentMethod === 'payhere') {
-      paymentMethodValue = 'card'; // PayHere processes card payments
-    } else if (paymentMethod === 'card') {
-      paymentMethodValue = 'card';
+    // Guests follow their order through a signed link instead of an account
+    if (!order.user) {
+      await notifyBuyer(
+        order,
+        `Order ${order.orderNumber} placed - Craft Marketplace`,
+        `Thank you for your order ${order.orderNumber}. Track or cancel it here: ${getOrderAccessUrl(order)}`
+      );
     }
-    
-    const payment = new Payment({
-      order: order._id,
-      amount: totalAmount,
-      method: paymentMethodValue,
-      status: 'pending'
-    });
-    await payment.save();
 
     const populatedOrder = await Order.findById(order._id)
       .populate('products.product', 'title price images')
       .populate('user', 'name email');
 
+    // The order stands even if the provider can't be reached; the buyer retries through GET /api/payments/:id/checkout
+    let checkout;
+    let paymentError;
+    try {
+      checkout = await provider.initiate({ order, payment });
+    } catch (error) {
+      console.error('Initiate payment error:', order._id.toString(), error.message);
+      paymentError = 'Payment could not be started. Please try again.';
+    }
+
     res.status(201).json({
       message: 'Order created successfully',
       order: populatedOrder,
-      paymentId: payment._id
+      paymentId: payment._id,
+      paymentMethod: provider.name,
+      payment: checkout,
+      paymentError,
+      // Lets a guest check the order and its payment without an account
+      accessToken: order.user ? undefined : createOrderAccessToken(order)
     });
   } catch (error) {
+    if (error instanceof CouponLimitError) {
+      return res.status(409).json({ error: error.message });
+    }
+    if (error instanceof InsufficientStockError) {
+      return res.status(409).json({
+        error: `Insufficient stock for ${error.items.map(item => item.sku ? `${item.title} (${item.sku})` : item.title).join(', ')}`,
+        items: error.items
+      });
+    }
     console.error('Create order error:', error);
     res.status(500).json({ error: 'Failed to create order' });
   }
@@ -135,19 +268,90 @@ router.get('/my-orders', authenticateToken, async (req, res) => {
   }
 });
 
-// Get single order
-router.get('/:id', authenticateToken, async (req, res) => {
+// Find a guest order by its order number and the email it was placed with
+router.post('/lookup', async (req, res) => {
+  try {
+    const { orderNumber, email } = req.body;
+    if (!orderNumber || !email) {
+      return res.status(400).json({ error: 'Order number and email are required' });
+    }
+
+    const order = await Order.findOne({
+      ...guestOrderQuery(email),
+      orderNumber: String(orderNumber).trim().toUpperCase()
+    }).populate('products.product', 'title price images');
+
+    // Same answer for a wrong number and a wrong email, so order numbers can't be probed
+    if (!order) {
+      return res.status(404).json({ error: 'No guest order matches this order number and email' });
+    }
+
+    res.json({ order, accessToken: createOrderAccessToken(order) });
+  } catch (error) {
+    console.error('Order lookup error:', error);
+    res.status(500).json({ error: 'Failed to look up order' });
+  }
+});
+
+// Email a guest fresh access links to their recent orders
+router.post('/access-link', async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) {
+      return res.status(400).json({ error: 'Email is required' });
+    }
+
+    const orders = await Order.find(guestOrderQuery(email))
+      .select('orderNumber status customerInfo createdAt')
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    if (orders.length > 0) {
+      const links = orders
+        .map(order => `${order.orderNumber || order._id} (${order.status}): ${getOrderAccessUrl(order)}`)
+        .join('\n');
+      await notifyBuyer(orders[0], 'Your orders - Craft Marketplace', `Follow your orders with these links:\n${links}`);
+    }
+
+    // Don't reveal whether the email has orders
+    res.json({ message: 'If there are orders for this email, links to them have been sent' });
+  } catch (error) {
+    console.error('Order access link error:', error);
+    res.status(500).json({ error: 'Failed to send order links' });
+  }
+});
+
+// Attach guest orders placed with the user's (verified) email to their account
+router.post('/claim', authenticateToken, async (req, res) => {
+  try {
+    const result = await Order.updateMany(guestOrderQuery(req.user.email), { $set: { user: req.user._id } });
+
+    // Coupon uses count towards the account's per-user limits from now on
+    await CouponRedemption.updateMany(
+      { user: null, email: req.user.email.toLowerCase() },
+      { $set: { user: req.user._id } }
+    );
+
+    res.json({ message: `${result.modifiedCount} order(s) added to your account`, claimed: result.modifiedCount });
+  } catch (error) {
+    console.error('Claim orders error:', error);
+    res.status(500).json({ error: 'Failed to claim orders' });
+  }
+});
+
+// Get single order (buyer, admin, or guest with the order's access token)
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id)
       .populate('products.product', 'title price images description')
-      .populate('user', 'name email phone');
+      .populate('user', 'name email phone')
+      .populate('statusHistory.changedBy', 'name role');
 
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Check if user is authorized to view this order
-    if (req.user.role !== 'admin' && order.user && order.user._id.toString() !== req.user._id.toString()) {
+    if (!canAccessOrder(order, req)) {
       return res.status(403).json({ error: 'Not authorized to view this order' });
     }
 
@@ -158,29 +362,129 @@ router.get('/:id', authenticateToken, async (req, res) => {
   }
 });
 
+// Invoice PDF (buyer, admin, or guest with the order's access token); numbered when first issued
+router.get('/:id/invoice.pdf', optionalAuthenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('user', 'name email phone');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    if (!['paid', 'refunded'].includes(order.paymentStatus)) {
+      return res.status(400).json({ error: 'An invoice is available once the order is paid' });
+    }
+
+    await assignInvoiceNumber(order);
+    const payments = await Payment.find({ order: order._id, status: { $in: ['paid', 'refunded'] } }).sort({ createdAt: 1 });
+
+    renderInvoice(order, payments, res);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({ error: 'Failed to generate invoice' });
+  }
+});
+
+// Packing slip PDF for one creator's items: creators get their own; buyers and admins choose with ?creator=
+router.get('/:id/packing-slip.pdf', optionalAuthenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).populate('products.product', 'title variants');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    let creatorId;
+    if (req.user && req.user.role === 'creator' && order.getFulfillment(req.user._id)) {
+      creatorId = req.user._id;
+    } else if (canAccessOrder(order, req)) {
+      creatorId = req.query.creator || (order.fulfillments.length === 1 ? order.fulfillments[0].creator : null);
+      if (!creatorId) {
+        return res.status(400).json({ error: 'Choose the creator to print a packing slip for' });
+      }
+    } else {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    if (!mongoose.isValidObjectId(creatorId) || !order.getFulfillment(creatorId)) {
+      return res.status(404).json({ error: 'This order has no items from that creator' });
+    }
+
+    const creator = await User.findById(creatorId).select('name');
+    renderPackingSlip(order, creator || { _id: creatorId }, res);
+  } catch (error) {
+    console.error('Get packing slip error:', error);
+    res.status(500).json({ error: 'Failed to generate packing slip' });
+  }
+});
+
+// Refund status of an order's payments (buyer, admin, or guest with the order's access token)
+router.get('/:id/refunds', optionalAuthenticate, async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id).select('user paymentStatus totalAmount');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({ error: 'Not authorized to view this order' });
+    }
+
+    const payments = await Payment.find({ order: order._id, refunds: { $ne: [] } })
+      .select('amount currency method status refundedAmount refunds')
+      .sort({ createdAt: -1 });
+
+    res.json({ paymentStatus: order.paymentStatus, payments });
+  } catch (error) {
+    console.error('Get order refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
 // Update order status (admin only)
 router.patch('/:id/status', authenticateToken, authorizeRoles('admin'), async (req, res) => {
   try {
-    const { status } = req.body;
-    const validStatuses = ['pending', 'confirmed', 'shipped', 'delivered', 'cancelled', 'returned'];
+    const { status, note } = req.body;
 
-    if (!validStatuses.includes(status)) {
+    if (!ORDER_STATUSES.includes(status)) {
       return res.status(400).json({ error: 'Invalid status' });
     }
+    // Returns restock the items and refund the buyer, so they only go through /api/returns
+    if (status === 'returned') {
+      return res.status(400).json({ error: 'Record returns through the returns flow, which restocks the items and refunds the buyer' });
+    }
 
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    order.status = status;
-    
-    // Add tracking info if shipping
-    if (status === 'shipped' && req.body.trackingInfo) {
-      order.trackingInfo = req.body.trackingInfo;
+    if (!canTransition(order.status, status)) {
+      return res.status(400).json({
+        error: `Cannot change order status from ${order.status} to ${status}`,
+        allowedStatuses: ORDER_STATUS_TRANSITIONS[order.status].filter(allowed => allowed !== 'returned')
+      });
     }
 
-    await order.save();
+    if (status === 'cancelled') {
+      await cancelOrder(order, req.user, note);
+    } else {
+      order.setStatus(status, { actor: req.user, note });
+
+      // Add tracking info if shipping
+      if (status === 'shipped' && req.body.trackingInfo) {
+        order.trackingInfo = req.body.trackingInfo;
+      }
+
+      await order.save();
+    }
+
+    if (order.status === 'delivered') {
+      await settleOnDelivery(order, req.user);
+      await creditDeliveredFulfillments(order);
+    }
 
     const updatedOrder = await Order.findById(order._id)
       .populate('products.product', 'title price images')
@@ -196,16 +500,15 @@ router.patch('/:id/status', authenticateToken, authorizeRoles('admin'), async (r
   }
 });
 
-// Cancel order (user or admin)
-router.patch('/:id/cancel', authenticateToken, async (req, res) => {
+// Cancel order (buyer, admin, or guest with the order's access token)
+router.patch('/:id/cancel', optionalAuthenticate, async (req, res) => {
   try {
     const order = await Order.findById(req.params.id);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Check if user is authorized to cancel this order
-    if (req.user.role !== 'admin' && order.user && order.user.toString() !== req.user._id.toString()) {
+    if (!canAccessOrder(order, req)) {
       return res.status(403).json({ error: 'Not authorized to cancel this order' });
     }
 
@@ -213,23 +516,13 @@ router.patch('/:id/cancel', authenticateToken, async (req, res) => {
       return res.status(400).json({ error: 'Order is already cancelled' });
     }
 
-    if (order.status === 'delivered') {
-      return res.status(400).json({ error: 'Cannot cancel delivered order' });
+    if (!canTransition(order.status, 'cancelled')) {
+      return res.status(400).json({ error: `Cannot cancel ${order.status} order` });
     }
 
-    order.status = 'cancelled';
-    await order.save();
-
-    // Restore product stock if order was confirmed or shipped
-    if (['confirmed', 'shipped'].includes(order.status)) {
-      for (const item of order.products) {
-        await Product.findByIdAndUpdate(item.product, {
-          $inc: { stock: item.quantity }
-        });
-      }
-    }
+    const refund = await cancelOrder(order, req.user, req.body.reason);
 
-    res.json({ message: 'Order cancelled successfully' });
+    res.json({ message: 'Order cancelled successfully', refund });
   } catch (error) {
     console.error('Cancel order error:', error);
     res.status(500).json({ error: 'Failed to cancel order' });
@@ -246,7 +539,8 @@ router.get('/admin/all', authenticateToken, authorizeRoles('admin'), async (req,
     if (search) {
       query.$or = [
         { 'customerInfo.name': { $regex: search, $options: 'i' } },
-        { 'customerInfo.email': { $regex: search, $options: 'i' } }
+        { 'customerInfo.email': { $regex: search, $options: 'i' } },
+        { orderNumber: { $regex: search, $options: 'i' } }
       ];
     }
 
@@ -272,7 +566,7 @@ router.get('/admin/all', authenticateToken, authorizeRoles('admin'), async (req,
   }
 });
 
-// Get creator's orders
+// Get creator's orders (only their items and fulfillment group)
 router.get('/creator/my-orders', authenticateToken, authorizeRoles('creator'), async (req, res) => {
   try {
     const { page = 1, limit = 20, status } = req.query;
@@ -282,10 +576,16 @@ router.get('/creator/my-orders', authenticateToken, authorizeRoles('creator'), a
     const productIds = creatorProducts.map(p => p._id);
 
     const query = { 'products.product': { $in: productIds } };
-    if (status) query.status = status;
+    if (status) {
+      // Filter on this creator's group; orders placed before splitting fall back to the order status
+      query.$or = [
+        { fulfillments: { $elemMatch: { creator: req.user._id, status } } },
+        { fulfillments: { $size: 0 }, status }
+      ];
+    }
 
     const orders = await Order.find(query)
-      .populate('products.product', 'title price images')
+      .populate('products.product', 'title price images creator')
       .populate('user', 'name email')
       .sort({ createdAt: -1 })
       .limit(limit * 1)
@@ -295,7 +595,7 @@ router.get('/creator/my-orders', authenticateToken, authorizeRoles('creator'), a
     const total = await Order.countDocuments(query);
 
     res.json({
-      orders,
+      orders: orders.map(order => toCreatorView(order, req.user._id)),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -306,35 +606,43 @@ router.get('/creator/my-orders', authenticateToken, authorizeRoles('creator'), a
   }
 });
 
-// Get creator's order statistics
+// Get creator's order statistics (counted per fulfillment group)
 router.get('/creator/stats', authenticateToken, authorizeRoles('creator'), async (req, res) => {
   try {
-    // Get products created by this creator
-    const creatorProducts = await Product.find({ creator: req.user._id }).select('_id');
-    const productIds = creatorProducts.map(p => p._id);
-
-    const query = { 'products.product': { $in: productIds } };
+    const fulfillmentStats = await Order.aggregate([
+      { $match: { 'fulfillments.creator': req.user._id } },
+      { $unwind: '$fulfillments' },
+      { $match: { 'fulfillments.creator': req.user._id } },
+      {
+        $group: {
+          _id: '$fulfillments.status',
+          count: { $sum: 1 },
+          revenue: { $sum: '$fulfillments.subtotal' }
+        }
+      }
+    ]);
 
-    const totalOrders = await Order.countDocuments(query);
-    const pendingOrders = await Order.countDocuments({ ...query, status: 'pending' });
-    const confirmedOrders = await Order.countDocuments({ ...query, status: 'confirmed' });
-    const shippedOrders = await Order.countDocuments({ ...query, status: 'shipped' });
-    const deliveredOrders = await Order.countDocuments({ ...query, status: 'delivered' });
-    const cancelledOrders = await Order.countDocuments({ ...query, status: 'cancelled' });
+    const byStatus = Object.fromEntries(fulfillmentStats.map(s => [s._id, s]));
+    const count = (status) => byStatus[status]?.count || 0;
 
-    const totalRevenue = await Order.aggregate([
-      { $match: { 'products.product': { $in: productIds }, status: { $in: ['delivered', 'shipped'] } } },
-      { $group: { _id: null, total: { $sum: '$totalAmount' } } }
-    ]);
+    // Earnings after commission and refunds, from the payout ledger
+    await releaseHeldFunds(req.user._id);
+    const balance = await getCreatorBalance(req.user._id);
 
     res.json({
-      totalOrders,
-      pendingOrders,
-      confirmedOrders,
-      shippedOrders,
-      deliveredOrders,
-      cancelledOrders,
-      totalRevenue: totalRevenue[0]?.total || 0
+      totalOrders: fulfillmentStats.reduce((sum, s) => sum + s.count, 0),
+      pendingOrders: count('pending'),
+      confirmedOrders: count('confirmed'),
+      shippedOrders: count('shipped'),
+      deliveredOrders: count('delivered'),
+      packedOrders: count('packed'),
+      cancelledOrders: count('cancelled'),
+      totalRevenue: roundCurrency(['shipped', 'delivered'].reduce((sum, status) => sum + (byStatus[status]?.revenue || 0), 0)),
+      netEarnings: balance.netEarnings,
+      commissionPaid: balance.commission,
+      heldBalance: balance.held,
+      availableBalance: balance.available,
+      paidOut: balance.paidOut
     });
   } catch (error) {
     console.error('Get creator stats error:', error);
@@ -342,7 +650,93 @@ router.get('/creator/stats', authenticateToken, authorizeRoles('creator'), async
   }
 });
 
-// Delete an order by creator if it's pending and unpaid
+// Update the creator's fulfillment group: confirm, pack, ship (with tracking) or mark delivered
+router.patch('/creator/:id/fulfillment', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const { status, trackingInfo, note } = req.body;
+    const creatorStatuses = ['confirmed', 'packed', 'shipped', 'delivered'];
+
+    if (status && !creatorStatuses.includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+    if (!status && !trackingInfo) {
+      return res.status(400).json({ error: 'Status or tracking info is required' });
+    }
+
+    const order = await Order.findById(req.params.id).populate('products.product', 'creator');
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+
+    const fulfillment = order.getFulfillment(req.user._id);
+    if (!fulfillment || !order.products.some(item => isCreatorItem(item, req.user._id))) {
+      return res.status(403).json({ error: 'This order has no items of yours' });
+    }
+
+    if (status && !canFulfillmentTransition(fulfillment.status, status)) {
+      return res.status(400).json({
+        error: `Cannot change your items from ${fulfillment.status} to ${status}`,
+        allowedStatuses: FULFILLMENT_STATUS_TRANSITIONS[fulfillment.status]
+      });
+    }
+
+    // Items can't be confirmed while an online payment is still outstanding
+    if (status === 'confirmed') {
+      const pendingPayment = await Payment.findOne({ order: order._id, status: 'pending' });
+      const provider = pendingPayment && getProviderForPayment(pendingPayment);
+      if ((provider && provider.paysBeforeFulfillment) || order.status === 'payment_failed') {
+        return res.status(400).json({ error: 'Order is awaiting payment' });
+      }
+    }
+
+    if (trackingInfo) {
+      if (!trackingInfo.provider || !trackingInfo.trackingNumber) {
+        return res.status(400).json({ error: 'Tracking provider and number are required' });
+      }
+      fulfillment.trackingInfo = {
+        provider: trackingInfo.provider,
+        trackingNumber: trackingInfo.trackingNumber,
+        status: trackingInfo.status
+      };
+    } else if (status === 'shipped' && !(fulfillment.trackingInfo && fulfillment.trackingInfo.trackingNumber)) {
+      return res.status(400).json({ error: 'Tracking info is required to ship' });
+    }
+
+    if (status) {
+      order.setFulfillmentStatus(req.user._id, status, { actor: req.user, note });
+    }
+    await order.save();
+
+    if (order.status === 'delivered') {
+      await settleOnDelivery(order, req.user);
+    }
+    if (fulfillment.status === 'delivered') {
+      await creditDeliveredFulfillments(order);
+    }
+
+    const creatorName = req.user.name;
+    const tracking = fulfillment.trackingInfo && fulfillment.trackingInfo.trackingNumber
+      ? ` Tracking: ${fulfillment.trackingInfo.provider} ${fulfillment.trackingInfo.trackingNumber}.`
+      : '';
+    await notifyBuyer(
+      order,
+      `Order update: items from ${creatorName} are ${fulfillment.status} - Craft Marketplace`,
+      `Your items from ${creatorName} in order ${order.orderNumber || order._id} are now ${fulfillment.status}.${tracking}` +
+        ` Order status: ${order.status}.`
+    );
+
+    res.json({
+      message: 'Fulfillment updated successfully',
+      order: toCreatorView(order, req.user._id)
+    });
+  } catch (error) {
+    console.error('Update fulfillment error:', error);
+    res.status(500).json({ error: 'Failed to update fulfillment' });
+  }
+});
+
+// Delete an order by creator if it's pending and unpaid.
+// In an order shared with other creators, only this creator's group is cancelled.
 router.delete('/creator/:id', authenticateToken, authorizeRoles('creator'), async (req, res) => {
   try {
     const order = await Order.findById(req.params.id).populate('products.product', 'creator');
@@ -355,11 +749,8 @@ router.delete('/creator/:id', authenticateToken, authorizeRoles('creator'), asyn
       return res.status(400).json({ error: 'Only pending orders can be deleted' });
     }
 
-    // Ensure all products in the order belong to this creator
-    const allBelongToCreator = order.products.every(
-      (item) => item.product && item.product.creator && item.product.creator.toString() === req.user._id.toString()
-    );
-    if (!allBelongToCreator) {
+    const creatorItems = order.products.filter(item => isCreatorItem(item, req.user._id));
+    if (creatorItems.length === 0) {
       return res.status(403).json({ error: 'You can only delete orders containing your products' });
     }
 
@@ -369,16 +760,88 @@ router.delete('/creator/:id', authenticateToken, authorizeRoles('creator'), asyn
       return res.status(400).json({ error: 'Cannot delete an order that has been paid' });
     }
 
-    // Restore stock
-    for (const item of order.products) {
-      await Product.findByIdAndUpdate(item.product._id, { $inc: { stock: item.quantity } });
+    if (creatorItems.length < order.products.length) {
+      const fulfillment = order.getFulfillment(req.user._id);
+      if (!fulfillment || fulfillment.status !== 'pending') {
+        return res.status(400).json({ error: 'Only pending items can be removed from an order' });
+      }
+
+      let updated;
+      const session = await mongoose.startSession();
+      try {
+        await session.withTransaction(async () => {
+          // Checked again on the copy read in the transaction
+          updated = await Order.findById(order._id).session(session);
+          const group = updated.getFulfillment(req.user._id);
+          if (updated.status !== 'pending' || !group || group.status !== 'pending') {
+            updated = null;
+            return;
+          }
+
+          await releaseItemStock(updated, updated.getCreatorItems(req.user._id), session);
+
+          updated.setFulfillmentStatus(req.user._id, 'cancelled', { actor: req.user, note: 'Cancelled by creator' });
+          updated.subtotal = roundCurrency(updated.subtotal - group.subtotal);
+          updated.shippingCost = roundCurrency(updated.shippingCost - group.shippingCost);
+          updated.discount = roundCurrency(updated.discount - group.discount);
+          updated.totalAmount = roundCurrency(updated.totalAmount - group.subtotal - group.shippingCost + group.discount);
+          await updated.save({ session });
+
+          // The buyer now pays only for the remaining groups. A checkout signed for the old amount
+          // can't change, so that payment is settled in full and the difference refunded.
+          const pending = await Payment.find({ order: updated._id, status: 'pending' }).session(session);
+          for (const payment of pending) {
+            const provider = getProviderForPayment(payment);
+            if (provider && provider.fixedAmount) continue;
+
+            payment.amount = updated.totalAmount;
+            await payment.save({ session });
+          }
+        });
+      } finally {
+        await session.endSession();
+      }
+
+      if (!updated) {
+        return res.status(400).json({ error: 'Only pending items can be removed from an order' });
+      }
+
+      return res.json({ message: 'Your items were removed from the order', order: toCreatorView(updated, req.user._id) });
     }
 
-    // Remove pending/failed payments linked to this order
-    await Payment.deleteMany({ order: order._id, status: { $in: ['pending', 'failed'] } });
+    let refusal;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // Checked again on the copy read in the transaction, in case payment arrived meanwhile
+        refusal = null;
+        const current = await Order.findById(order._id).session(session);
+        if (!current || current.status !== 'pending') {
+          refusal = 'Only pending orders can be deleted';
+          return;
+        }
+        if (await Payment.exists({ order: current._id, status: 'paid' }).session(session)) {
+          refusal = 'Cannot delete an order that has been paid';
+          return;
+        }
+
+        // Restore stock unless its reservation already expired, and give back the coupon use
+        await releaseOrderStock(current, current.getLiveItems(), session);
+        await releaseCoupon(current, session);
+
+        // Remove pending/failed payments linked to this order
+        await Payment.deleteMany({ order: current._id, status: { $in: ['pending', 'failed'] } }, { session });
+
+        // Delete the order
+        await Order.findByIdAndDelete(current._id, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
 
-    // Delete the order
-    await Order.findByIdAndDelete(order._id);
+    if (refusal) {
+      return res.status(400).json({ error: refusal });
+    }
 
     res.json({ message: 'Order deleted successfully' });
   } catch (error) {
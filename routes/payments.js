@@ -1,132 +1,664 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
 const Order = require('../models/Order');
 const Payment = require('../models/Payment');
-const crypto = require('crypto');
+const { authenticateToken, optionalAuthenticate, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const { getEnabledProviders, getProvider, getProviderForPayment } = require('../utils/paymentProviders');
+const { settlePayment } = require('../utils/paymentResults');
+const { recordRefund, processRefund } = require('../utils/refunds');
+const { debitOrderRefund } = require('../utils/ledger');
+const { getReservationExpiry } = require('../utils/reservations');
+const { canAccessOrder } = require('../utils/orderAccess');
+const { toCsv } = require('../utils/csv');
+const notifyBuyer = require('../utils/notifyBuyer');
 
-// PayHere webhook handler
-router.post('/payhere-webhook', async (req, res) => {
+// List payment providers available at checkout
+router.get('/providers', (req, res) => {
+  res.json(getEnabledProviders().map(provider => ({
+    name: provider.name,
+    label: provider.label,
+    method: provider.method
+  })));
+});
+
+// Gateway notification handler for a payment provider
+const handleWebhook = (providerName) => async (req, res) => {
   try {
-    const {
-      merchant_id,
-      order_id,
-      payment_id,
-      payhere_amount,
-      payhere_currency,
-      status_code,
-      md5sig,
-      custom_1, // Order ID
-      custom_2  // User ID
-    } = req.body;
-
-    // Verify MD5 signature (PayHere security)
-    // md5sig = MD5(merchant_id + order_id + amount + currency + status_code + MD5(merchant_secret).toUpperCase()).toUpperCase()
-    const merchantSecret = process.env.PAYHERE_SECRET_KEY || '';
-    const secretMd5Upper = crypto
-      .createHash('md5')
-      .update(merchantSecret)
-      .digest('hex')
-      .toUpperCase();
-
-    const expectedMd5sig = crypto
-      .createHash('md5')
-      .update(`${merchant_id}${order_id}${payhere_amount}${payhere_currency}${status_code}${secretMd5Upper}`)
-      .digest('hex')
-      .toUpperCase();
-
-    if (md5sig !== expectedMd5sig) {
-      console.error('PayHere webhook: Invalid MD5 signature');
-      return res.status(400).json({ error: 'Invalid signature' });
+    const provider = getProvider(providerName);
+    if (!provider || !provider.parseWebhook) {
+      return res.status(404).json({ error: 'Payment provider not found' });
+    }
+
+    const event = provider.parseWebhook(req.body);
+    if (event.error) {
+      console.error(`${provider.label} webhook: ${event.error}`);
+      return res.status(400).json({ error: event.error });
     }
 
     // Find the order
-    const order = await Order.findById(custom_1);
+    const order = await Order.findById(event.orderId);
     if (!order) {
-      console.error('PayHere webhook: Order not found', custom_1);
+      console.error(`${provider.label} webhook: Order not found`, event.orderId);
       return res.status(404).json({ error: 'Order not found' });
     }
 
-    // Create payment record (match Payment schema)
-    const payment = new Payment({
-      order: order._id,
-      amount: Number(payhere_amount),
-      method: 'card',
-      status: status_code === '2' ? 'paid' : 'failed',
-      transactionId: payment_id
-    });
+    // Update the payment created at checkout (or the one already tied to this gateway payment)
+    const payment = await Payment.findOne({ order: order._id, transactionId: event.gatewayPaymentId }) ||
+      await Payment.findOne({ order: order._id, method: provider.method }).sort({ createdAt: -1 });
+    if (!payment) {
+      console.error(`${provider.label} webhook: No payment record for order`, order._id);
+      return res.status(404).json({ error: 'Payment not found' });
+    }
 
-    await payment.save();
+    // A notification replayed against another order carries a payment id already recorded elsewhere
+    const claimedElsewhere = await Payment.exists({ transactionId: event.gatewayPaymentId, _id: { $ne: payment._id } });
+    if (claimedElsewhere) {
+      console.error(`${provider.label} webhook: Gateway payment already recorded on another payment`, event.gatewayPaymentId);
+      return res.status(400).json({ error: 'Payment already recorded for another order' });
+    }
 
-    // Update order status
-    if (status_code === '2') { // Success
-      order.status = 'confirmed';
-      order.paymentStatus = 'paid';
-      order.paymentId = payment_id;
-      await order.save();
-      
-      console.log('PayHere webhook: Payment successful for order', order._id);
-    } else {
-      order.status = 'payment_failed';
-      order.paymentStatus = 'failed';
-      await order.save();
-      
-      console.log('PayHere webhook: Payment failed for order', order._id);
+    // The gateway must have charged exactly what the order costs
+    if (Number(event.amount).toFixed(2) !== payment.amount.toFixed(2) || event.currency !== payment.currency) {
+      console.error(`${provider.label} webhook: Amount or currency mismatch for order`, order._id, event.amount, event.currency);
+      return res.status(400).json({ error: 'Amount or currency mismatch' });
     }
 
+    const applied = await settlePayment({
+      payment,
+      order,
+      status: event.status,
+      event: { paymentId: event.gatewayPaymentId, statusCode: event.statusCode },
+      note: `${provider.label} payment ${event.gatewayPaymentId} ${event.status}`
+    });
+
+    if (!applied) {
+      console.log(`${provider.label} webhook: Duplicate notification ignored`, event.gatewayPaymentId, event.statusCode);
+      return res.json({ success: true, duplicate: true });
+    }
+
+    console.log(`${provider.label} webhook: Payment ${event.status} for order`, order._id);
+
     res.json({ success: true });
   } catch (error) {
-    console.error('PayHere webhook error:', error);
+    console.error('Payment webhook error:', error);
     res.status(500).json({ error: 'Webhook processing failed' });
   }
+};
+
+// PayHere webhook handler (the notify URL configured with PayHere)
+router.post('/payhere-webhook', handleWebhook('payhere'));
+
+// Webhook handler for any provider that receives notifications
+router.post('/webhook/:provider', (req, res) => handleWebhook(req.params.provider)(req, res));
+
+// Checks an order's payment with its provider and reports where it stands.
+// The client's word is never taken: the status comes from the provider or its signed webhook.
+const checkPaymentStatus = async (req, res, orderId) => {
+  const order = await Order.findById(orderId);
+  if (!order) {
+    return res.status(404).json({ error: 'Order not found' });
+  }
+
+  if (!canAccessOrder(order, req)) {
+    return res.status(403).json({ error: 'Not authorized to view this order' });
+  }
+
+  const payment = await Payment.findOne({ order: order._id }).sort({ createdAt: -1 });
+  if (!payment) {
+    return res.status(404).json({ error: 'Payment not found' });
+  }
+
+  const provider = getProviderForPayment(payment);
+  if (payment.status === 'pending' && provider) {
+    try {
+      const result = await provider.verify({ order, payment });
+      if (result.status !== payment.status) {
+        await settlePayment({
+          payment,
+          order,
+          status: result.status,
+          event: result.event,
+          note: `Payment ${result.status} (verified with ${provider.label})`
+        });
+      }
+    } catch (error) {
+      // The webhook still settles the payment; report what is known so far
+      console.error('Payment verification error:', order._id.toString(), error.message);
+    }
+  }
+
+  const [updatedOrder, updatedPayment] = await Promise.all([
+    Order.findById(order._id).select('status paymentStatus totalAmount'),
+    Payment.findById(payment._id).select('status method amount currency')
+  ]);
+
+  res.json({
+    orderId: order._id,
+    orderStatus: updatedOrder.status,
+    paymentStatus: updatedPayment.status,
+    paymentMethod: updatedPayment.method,
+    amount: updatedPayment.amount,
+    currency: updatedPayment.currency
+  });
+};
+
+// Payment status of an order, verified server side (order owner, admin, or guest with the order's access token)
+router.get('/status/:orderId', optionalAuthenticate, async (req, res) => {
+  try {
+    await checkPaymentStatus(req, res, req.params.orderId);
+  } catch (error) {
+    console.error('Payment status error:', error);
+    res.status(500).json({ error: 'Failed to check payment status' });
+  }
 });
 
-// Payment confirmation endpoint (for frontend)
-router.post('/confirm', async (req, res) => {
+// Called from the frontend return URL; only triggers the server-side check, any status sent is ignored
+router.post('/confirm', optionalAuthenticate, async (req, res) => {
   try {
-    const { orderId, paymentId, status } = req.body;
+    const { orderId } = req.body;
+    if (!orderId) {
+      return res.status(400).json({ error: 'Order ID is required' });
+    }
+
+    await checkPaymentStatus(req, res, orderId);
+  } catch (error) {
+    console.error('Payment confirmation error:', error);
+    res.status(500).json({ error: 'Payment confirmation failed' });
+  }
+});
+
+// Bank account details for bank transfer checkout
+router.get('/bank-transfer/details', (req, res) => {
+  const bankTransfer = getProvider('bank_transfer');
+  if (!bankTransfer) {
+    return res.status(404).json({ error: 'Bank transfer is not enabled' });
+  }
 
-    const order = await Order.findById(orderId);
+  res.json(bankTransfer.getAccountDetails());
+});
+
+// What the buyer needs to pay a pending payment, e.g. to retry a checkout that could not be started
+// (order owner, or guest with the order's access token)
+router.get('/:id/checkout', optionalAuthenticate, async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    const order = payment && await Order.findById(payment.order);
+    if (!order) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({ error: 'Not authorized to view this payment' });
+    }
+    if (payment.status !== 'pending' || order.status === 'cancelled') {
+      return res.status(400).json({ error: 'This payment is no longer awaiting payment' });
+    }
+
+    const provider = getProviderForPayment(payment);
+    if (!provider) {
+      return res.status(400).json({ error: 'Payment method is not available' });
+    }
+
+    res.json({ paymentId: payment._id, paymentMethod: provider.name, payment: await provider.initiate({ order, payment }) });
+  } catch (error) {
+    console.error('Payment checkout error:', error);
+    res.status(500).json({ error: 'Failed to start payment' });
+  }
+});
+
+// Upload a bank deposit slip for a payment (order owner, or guest with the order's access token)
+router.post('/:id/slip', optionalAuthenticate, upload.single('slip'), async (req, res) => {
+  try {
+    const { reference } = req.body;
+
+    if (!req.file) {
+      return res.status(400).json({ error: 'Deposit slip image is required' });
+    }
+
+    const payment = await Payment.findById(req.params.id).populate('order');
+    if (!payment || payment.method !== 'bank_transfer') {
+      return res.status(404).json({ error: 'Bank transfer payment not found' });
+    }
+
+    const order = payment.order;
+    if (!canAccessOrder(order, req)) {
+      return res.status(403).json({ error: 'Not authorized to update this payment' });
+    }
+
+    if (payment.status !== 'pending' || (payment.slip && payment.slip.status === 'approved')) {
+      return res.status(400).json({ error: 'This payment is no longer awaiting a deposit slip' });
+    }
+
+    payment.slip = {
+      image: `/uploads/${req.file.filename}`,
+      reference,
+      uploadedAt: new Date(),
+      status: 'submitted'
+    };
+
+    // Keep the stock held while the slip waits for review
+    if (payment.reservation && payment.reservation.status === 'held') {
+      payment.reservation.expiresAt = getReservationExpiry(parseInt(process.env.BANK_TRANSFER_RESERVATION_HOURS || '48') * 60);
+    }
+
+    await payment.save();
+
+    res.json({ message: 'Deposit slip uploaded. We will confirm your order once it is verified.', slip: payment.slip });
+  } catch (error) {
+    console.error('Upload deposit slip error:', error);
+    res.status(500).json({ error: 'Failed to upload deposit slip' });
+  }
+});
+
+// Bank transfer review queue (admin only)
+router.get('/admin/bank-transfers', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status = 'submitted' } = req.query;
+
+    const query = { method: 'bank_transfer', 'slip.status': status };
+
+    const payments = await Payment.find(query)
+      .populate({
+        path: 'order',
+        select: 'totalAmount status customerInfo user createdAt',
+        populate: { path: 'user', select: 'name email' }
+      })
+      .populate('slip.reviewedBy', 'name')
+      .sort({ 'slip.uploadedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get bank transfers error:', error);
+    res.status(500).json({ error: 'Failed to fetch bank transfers' });
+  }
+});
+
+// Approve a deposit slip: marks the payment paid and confirms the order (admin only)
+router.patch('/admin/bank-transfers/:id/approve', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || payment.method !== 'bank_transfer') {
+      return res.status(404).json({ error: 'Bank transfer payment not found' });
+    }
+
+    if (!payment.slip || payment.slip.status !== 'submitted') {
+      return res.status(400).json({ error: 'No deposit slip awaiting review' });
+    }
+
+    if (payment.status !== 'pending') {
+      return res.status(400).json({ error: `Cannot approve a payment that is ${payment.status}` });
+    }
+
+    const order = await Order.findById(payment.order);
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
+    if (order.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cannot approve a deposit for a cancelled order' });
+    }
+
+    // Claim the slip so a concurrent approve or reject can't settle it twice
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, status: 'pending', 'slip.status': 'submitted' },
+      { $set: { 'slip.status': 'approved', 'slip.reviewedBy': req.user._id, 'slip.reviewedAt': new Date() } }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ error: 'Deposit slip was already reviewed' });
+    }
+
+    await settlePayment({
+      payment,
+      order,
+      status: 'paid',
+      actor: req.user,
+      note: `Bank transfer verified${payment.slip.reference ? ` (ref ${payment.slip.reference})` : ''}`
+    });
+
+    await notifyBuyer(
+      order,
+      'Payment received - Craft Marketplace',
+      `We have verified your bank deposit for order ${order.orderNumber || order._id}. Your order is now ${order.status}.`
+    );
+
+    res.json({ message: 'Bank transfer approved', order });
+  } catch (error) {
+    console.error('Approve bank transfer error:', error);
+    res.status(500).json({ error: 'Failed to approve bank transfer' });
+  }
+});
+
+// Reject a deposit slip and let the buyer know (admin only)
+router.patch('/admin/bank-transfers/:id/reject', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment || payment.method !== 'bank_transfer') {
+      return res.status(404).json({ error: 'Bank transfer payment not found' });
+    }
+
+    if (!payment.slip || payment.slip.status !== 'submitted') {
+      return res.status(400).json({ error: 'No deposit slip awaiting review' });
+    }
+
+    const reviewedAt = new Date();
+    const claimed = await Payment.updateOne(
+      { _id: payment._id, 'slip.status': 'submitted' },
+      {
+        $set: {
+          'slip.status': 'rejected',
+          'slip.reviewedBy': req.user._id,
+          'slip.reviewedAt': reviewedAt,
+          'slip.rejectionReason': reason
+        }
+      }
+    );
+    if (claimed.modifiedCount === 0) {
+      return res.status(409).json({ error: 'Deposit slip was already reviewed' });
+    }
+    Object.assign(payment.slip, { status: 'rejected', reviewedBy: req.user._id, reviewedAt, rejectionReason: reason });
+
+    const order = await Order.findById(payment.order);
+    await notifyBuyer(
+      order,
+      'Deposit slip rejected - Craft Marketplace',
+      `We could not verify the deposit slip for order ${order.orderNumber || order._id}. Reason: ${reason}. ` +
+        'Please check the deposit and upload a new slip.'
+    );
+
+    res.json({ message: 'Bank transfer rejected', slip: payment.slip });
+  } catch (error) {
+    console.error('Reject bank transfer error:', error);
+    res.status(500).json({ error: 'Failed to reject bank transfer' });
+  }
+});
+
+// Refund all or part of a payment (admin only)
+router.post('/:id/refunds', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { reason } = req.body;
+    const amount = req.body.amount === undefined ? undefined : parseFloat(req.body.amount);
+
+    if (!reason) {
+      return res.status(400).json({ error: 'Refund reason is required' });
+    }
+    if (amount !== undefined && !(amount > 0)) {
+      return res.status(400).json({ error: 'Refund amount must be greater than 0' });
+    }
+
+    let payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ error: 'Payment not found' });
+    }
 
-    if (status === 'completed') {
-      order.status = 'confirmed';
-      order.paymentStatus = 'paid';
-      order.paymentId = paymentId;
-      await order.save();
+    // Checked again on the copy read in the transaction so concurrent refunds can't exceed the payment
+    let order;
+    let refund;
+    let refusal;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        refund = null;
+        refusal = null;
+        payment = await Payment.findById(req.params.id).session(session);
+        if (payment.status !== 'paid') {
+          refusal = `Cannot refund a payment that is ${payment.status}`;
+          return;
+        }
+        if (amount > payment.getRefundableAmount()) {
+          refusal = `Only ${payment.getRefundableAmount()} can still be refunded`;
+          return;
+        }
 
-      res.json({ 
-        success: true, 
-        order: order,
-        message: 'Payment confirmed successfully' 
+        order = await Order.findById(payment.order).session(session);
+        refund = recordRefund(payment, order, { amount, reason, actor: req.user });
+        await payment.save({ session });
+        await order.save({ session });
+        await debitOrderRefund(order, refund.amount, session, `Refund: ${reason}`);
       });
+    } finally {
+      await session.endSession();
+    }
+
+    if (refusal) {
+      return res.status(400).json({ error: refusal });
+    }
+
+    await processRefund(payment, refund);
+
+    await notifyBuyer(
+      order,
+      'Refund issued - Craft Marketplace',
+      `A refund of ${refund.amount} ${payment.currency} has been issued for order ${order.orderNumber || order._id}. Reason: ${reason}`
+    );
+
+    res.status(201).json({ message: 'Refund recorded', refund, payment });
+  } catch (error) {
+    console.error('Create refund error:', error);
+    res.status(500).json({ error: 'Failed to refund payment' });
+  }
+});
+
+// Refunds waiting on staff: manual payouts and failed provider refunds (admin only)
+router.get('/admin/refunds', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    const status = req.query.status || { $in: ['manual', 'failed'] };
+
+    const query = { refunds: { $elemMatch: { status } } };
+
+    const payments = await Payment.find(query)
+      .select('order amount currency method provider status refundedAmount refunds')
+      .populate('order', 'orderNumber customerInfo user totalAmount')
+      .populate('refunds.createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get refunds error:', error);
+    res.status(500).json({ error: 'Failed to fetch refunds' });
+  }
+});
+
+// Retry a failed refund, or mark a manual one as paid out (admin only)
+router.patch('/:id/refunds/:refundId', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { action, reference } = req.body;
+
+    if (!['retry', 'complete'].includes(action)) {
+      return res.status(400).json({ error: 'Action must be retry or complete' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    const refund = payment && payment.refunds.id(req.params.refundId);
+    if (!refund) {
+      return res.status(404).json({ error: 'Refund not found' });
+    }
+    if (!['manual', 'failed'].includes(refund.status)) {
+      return res.status(400).json({ error: `Refund is already ${refund.status}` });
+    }
+
+    if (action === 'retry') {
+      await processRefund(payment, refund);
     } else {
-      res.json({ 
-        success: false, 
-        message: 'Payment not completed' 
-      });
+      refund.status = 'processed';
+      refund.providerRefundId = reference;
+      refund.failureReason = undefined;
+      refund.processedAt = new Date();
+      await payment.save();
     }
+
+    res.json({ message: `Refund ${refund.status}`, refund });
   } catch (error) {
-    console.error('Payment confirmation error:', error);
-    res.status(500).json({ error: 'Payment confirmation failed' });
+    console.error('Update refund error:', error);
+    res.status(500).json({ error: 'Failed to update refund' });
   }
 });
 
-// Get payment history for a user
-router.get('/history', async (req, res) => {
+// Date range filter from startDate/endDate query parameters (either may be left out)
+const dateRange = ({ startDate, endDate }) => {
+  const range = {};
+  if (startDate) range.$gte = new Date(startDate);
+  if (endDate) range.$lte = new Date(endDate);
+  return Object.keys(range).length ? range : null;
+};
+
+// Paginated payment history: buyers see payments on their orders, creators payments on orders with their items,
+// admins every payment (filter by method, provider, status and date range)
+router.get('/history', authenticateToken, async (req, res) => {
   try {
-    const payments = await Payment.find({ userId: req.user._id })
-      .populate('orderId')
-      .sort({ createdAt: -1 });
+    const { page = 1, limit = 20, status, method, provider } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
 
-    res.json(payments);
+    if (req.user.role === 'admin') {
+      if (method) query.method = method;
+      if (provider) query.provider = provider;
+      const createdAt = dateRange(req.query);
+      if (createdAt) query.createdAt = createdAt;
+    } else {
+      const orderQuery = req.user.role === 'creator'
+        ? { $or: [{ 'fulfillments.creator': req.user._id }, { 'products.creator': req.user._id }] }
+        : { user: req.user._id };
+      query.order = { $in: await Order.distinct('_id', orderQuery) };
+    }
+
+    const payments = await Payment.find(query)
+      .select('-gatewayEvents -reservation')
+      .populate('order', 'orderNumber status totalAmount createdAt fulfillments.creator fulfillments.subtotal')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .lean();
+
+    // Creators see their own share of each order, not the other creators' groups
+    if (req.user.role === 'creator') {
+      for (const payment of payments) {
+        const fulfillment = payment.order && payment.order.fulfillments
+          .find(f => f.creator.toString() === req.user._id.toString());
+        payment.creatorSubtotal = fulfillment ? fulfillment.subtotal : undefined;
+        if (payment.order) delete payment.order.fulfillments;
+      }
+    }
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
   } catch (error) {
     console.error('Payment history error:', error);
     res.status(500).json({ error: 'Failed to fetch payment history' });
   }
 });
 
+const RECONCILIATION_COLUMNS = [
+  { key: 'orderId', label: 'Order ID' },
+  { key: 'orderNumber', label: 'Order Number' },
+  { key: 'createdAt', label: 'Created At' },
+  { key: 'status', label: 'Order Status' },
+  { key: 'paymentStatus', label: 'Payment Status' },
+  { key: 'totalAmount', label: 'Order Total' },
+  { key: 'paidAmount', label: 'Paid' },
+  { key: 'refundedAmount', label: 'Refunded' },
+  { key: 'difference', label: 'Difference' },
+  { key: 'issue', label: 'Issue' },
+  { key: 'payments', label: 'Payments' }
+];
+
+// Orders whose collected payments don't add up to the order total (admin only). ?format=csv downloads it.
+router.get('/admin/reconciliation', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const match = {};
+    const createdAt = dateRange(req.query);
+    if (createdAt) match.createdAt = createdAt;
+
+    const orders = await Order.aggregate([
+      { $match: match },
+      { $lookup: { from: 'payments', localField: '_id', foreignField: 'order', as: 'payments' } },
+      {
+        $project: {
+          orderNumber: 1,
+          createdAt: 1,
+          status: 1,
+          paymentStatus: 1,
+          totalAmount: 1,
+          payments: { $size: '$payments' },
+          // Money that actually came in, including payments refunded since
+          paidAmount: {
+            $sum: {
+              $map: {
+                input: { $filter: { input: '$payments', cond: { $in: ['$$this.status', ['paid', 'refunded']] } } },
+                in: '$$this.amount'
+              }
+            }
+          },
+          refundedAmount: { $sum: '$payments.refundedAmount' }
+        }
+      },
+      // Only orders that were paid, or are marked as paid
+      { $match: { $or: [{ paidAmount: { $gt: 0 } }, { paymentStatus: { $in: ['paid', 'refunded'] } }] } },
+      { $addFields: { difference: { $round: [{ $subtract: ['$paidAmount', '$totalAmount'] }, 2] } } },
+      { $match: { $or: [{ difference: { $gte: 0.01 } }, { difference: { $lte: -0.01 } }] } },
+      { $sort: { createdAt: -1 } }
+    ]);
+
+    const rows = orders.map(order => ({
+      orderId: order._id.toString(),
+      orderNumber: order.orderNumber,
+      createdAt: order.createdAt,
+      status: order.status,
+      paymentStatus: order.paymentStatus,
+      totalAmount: order.totalAmount,
+      paidAmount: order.paidAmount,
+      refundedAmount: order.refundedAmount,
+      difference: order.difference,
+      issue: order.paidAmount === 0 ? 'missing_payment' : order.difference < 0 ? 'underpaid' : 'overpaid',
+      payments: order.payments
+    }));
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', 'attachment; filename="payment-reconciliation.csv"');
+      return res.send(toCsv(rows, RECONCILIATION_COLUMNS));
+    }
+
+    res.json({ orders: rows, total: rows.length });
+  } catch (error) {
+    console.error('Payment reconciliation error:', error);
+    res.status(500).json({ error: 'Failed to generate reconciliation report' });
+  }
+});
+
 module.exports = router;
 
 // Generate PayHere hash for Checkout/JS SDK
@@ -135,23 +667,22 @@ module.exports = router;
 router.post('/payhere-hash', async (req, res) => {
   try {
     const { orderId, amount, currency } = req.body;
-    const merchantId = process.env.PAYHERE_MERCHANT_ID || process.env.VITE_PAYHERE_MERCHANT_ID;
-    const merchantSecret = process.env.PAYHERE_SECRET_KEY;
+    const payhere = getProvider('payhere');
 
-    if (!merchantId || !merchantSecret) {
-      return res.status(500).json({ error: 'PayHere credentials not configured' });
+    if (!payhere) {
+      return res.status(404).json({ error: 'PayHere is not enabled' });
     }
 
     if (!orderId || !amount || !currency) {
       return res.status(400).json({ error: 'orderId, amount, and currency are required' });
     }
 
-    const amountStr = Number(amount).toFixed(2);
-    const secretMd5 = crypto.createHash('md5').update(merchantSecret).digest('hex').toUpperCase();
-    const raw = `${merchantId}${orderId}${amountStr}${currency}${secretMd5}`;
-    const hash = crypto.createHash('md5').update(raw).digest('hex').toUpperCase();
+    const hash = payhere.createHash({ orderId, amount, currency });
+    if (!hash) {
+      return res.status(500).json({ error: 'PayHere credentials not configured' });
+    }
 
-    res.json({ hash, merchantId });
+    res.json({ hash, merchantId: process.env.PAYHERE_MERCHANT_ID || process.env.VITE_PAYHERE_MERCHANT_ID });
   } catch (error) {
     console.error('Generate PayHere hash error:', error);
     res.status(500).json({ error: 'Failed to generate hash' });
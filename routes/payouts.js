@@ -0,0 +1,219 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const LedgerEntry = require('../models/LedgerEntry');
+const Payout = require('../models/Payout');
+const { roundCurrency } = require('../utils/pricing');
+const { releaseHeldFunds, getCreatorBalance } = require('../utils/ledger');
+const { lockCounter } = require('../utils/counters');
+const router = express.Router();
+
+// Paginated list of payouts
+const listPayouts = async (req, res, query) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const payouts = await Payout.find(query)
+    .populate('creator', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const total = await Payout.countDocuments(query);
+
+  res.json({
+    payouts,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total
+  });
+};
+
+// Creator's balance: held until the return window closes, available to pay out, and paid out
+router.get('/balance', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    await releaseHeldFunds(req.user._id);
+    res.json(await getCreatorBalance(req.user._id));
+  } catch (error) {
+    console.error('Get balance error:', error);
+    res.status(500).json({ error: 'Failed to fetch balance' });
+  }
+});
+
+// Creator's ledger entries
+router.get('/ledger', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const { page = 1, limit = 20, type } = req.query;
+
+    const query = { creator: req.user._id };
+    if (type) query.type = type;
+
+    const entries = await LedgerEntry.find(query)
+      .populate('order', 'createdAt status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await LedgerEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get ledger error:', error);
+    res.status(500).json({ error: 'Failed to fetch ledger' });
+  }
+});
+
+// Request a payout from the available balance (creator)
+router.post('/', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const { note } = req.body;
+    const amount = roundCurrency(parseFloat(req.body.amount));
+
+    if (!(amount > 0)) {
+      return res.status(400).json({ error: 'Payout amount must be greater than 0' });
+    }
+
+    await releaseHeldFunds(req.user._id);
+
+    // Check the balance and take the payout out of it together
+    let payout;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        // One request per creator at a time, so two requests can't both spend the same balance
+        await lockCounter(`payouts:${req.user._id}`, session);
+
+        const { available } = await getCreatorBalance(req.user._id, session);
+        if (amount > available) {
+          payout = null;
+          return;
+        }
+
+        payout = new Payout({
+          creator: req.user._id,
+          amount,
+          note,
+          history: [{ status: 'requested', changedBy: req.user._id, note }]
+        });
+        await payout.save({ session });
+
+        await LedgerEntry.create([{
+          creator: req.user._id,
+          type: 'payout',
+          payout: payout._id,
+          amount: -amount,
+          note: 'Payout requested'
+        }], { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!payout) {
+      const { available } = await getCreatorBalance(req.user._id);
+      return res.status(400).json({ error: `Only ${available} is available to pay out`, available });
+    }
+
+    res.status(201).json(payout);
+  } catch (error) {
+    console.error('Request payout error:', error);
+    res.status(500).json({ error: 'Failed to request payout' });
+  }
+});
+
+// Creator's payout requests
+router.get('/my-payouts', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const query = { creator: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    await listPayouts(req, res, query);
+  } catch (error) {
+    console.error('Get creator payouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// Payout queue (admin only)
+router.get('/admin', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const query = { status: req.query.status || { $in: ['requested', 'approved'] } };
+    if (req.query.creator) query.creator = req.query.creator;
+
+    await listPayouts(req, res, query);
+  } catch (error) {
+    console.error('Get payouts error:', error);
+    res.status(500).json({ error: 'Failed to fetch payouts' });
+  }
+});
+
+// Move a payout on: approve, reject (gives the amount back to the creator) or mark paid (admin only)
+router.patch('/:id/status', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const { status, note, reference } = req.body;
+
+    if (!['approved', 'rejected', 'paid'].includes(status)) {
+      return res.status(400).json({ error: 'Status must be approved, rejected or paid' });
+    }
+    if (status === 'rejected' && !note) {
+      return res.status(400).json({ error: 'Rejection reason is required' });
+    }
+
+    const existing = await Payout.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Payout not found' });
+    }
+    if (!existing.canTransition(status)) {
+      return res.status(400).json({ error: `Cannot mark a ${existing.status} payout as ${status}` });
+    }
+
+    let payout;
+    let allowed = true;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        payout = await Payout.findById(existing._id).session(session);
+
+        // Another admin may have moved it on since it was read above
+        allowed = payout.canTransition(status);
+        if (!allowed) return;
+
+        if (status === 'rejected') {
+          payout.rejectionReason = note;
+          await LedgerEntry.create([{
+            creator: payout.creator,
+            type: 'payout_reversal',
+            payout: payout._id,
+            amount: payout.amount,
+            note: `Payout rejected: ${note}`
+          }], { session });
+        }
+        if (status === 'paid') {
+          payout.reference = reference;
+        }
+
+        payout.setStatus(status, { actor: req.user, note });
+        await payout.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!allowed) {
+      return res.status(409).json({ error: `Cannot mark a ${payout.status} payout as ${status}` });
+    }
+
+    res.json({ message: `Payout ${payout.status}`, payout });
+  } catch (error) {
+    console.error('Update payout error:', error);
+    res.status(500).json({ error: 'Failed to update payout' });
+  }
+});
+
+module.exports = router;
@@ -1,12 +1,20 @@
 const express = require('express');
-const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const mongoose = require('mongoose');
+const { authenticateToken, optionalAuthenticate, authorizeRoles } = require('../middleware/auth');
 const upload = require('../middleware/upload');
 const Product = require('../models/Product');
 const Category = require('../models/Category');
+const User = require('../models/User');
+const { parseVariants, summarizeVariants } = require('../utils/variants');
+const { parseSale, applySalePricing, onSaleQuery, effectivePriceExpression } = require('../utils/sales');
+const { parsePackage } = require('../utils/shipping');
 const router = express.Router();
 
+// Ids of the products the logged-in user has favorited
+const getFavoriteIds = (user) => new Set(user ? user.favorites.map(id => id.toString()) : []);
+
 // Get all products (public)
-router.get('/', async (req, res) => {
+router.get('/', optionalAuthenticate, async (req, res) => {
   try {
     const { 
       page = 1, 
@@ -15,15 +23,19 @@ router.get('/', async (req, res) => {
       search, 
       minPrice, 
       maxPrice,
+      onSale,
       sortBy = 'createdAt',
       sortOrder = 'desc'
     } = req.query;
 
     const query = { isActive: true };
     
-    // Category filter
+    // Category filter (aggregation doesn't cast ids)
     if (category) {
-      query.category = category;
+      if (!mongoose.isValidObjectId(category)) {
+        return res.status(400).json({ error: 'Invalid category' });
+      }
+      query.category = new mongoose.Types.ObjectId(category);
     }
     
     // Search filter
@@ -34,28 +46,61 @@ router.get('/', async (req, res) => {
       ];
     }
     
-    // Price filter
+    // Only items with a sale running now
+    const now = new Date();
+    if (onSale === 'true') {
+      query.$and = [onSaleQuery(now)];
+    }
+
+    // Price filter and sort use the price the buyer pays now, sale included
+    const pipeline = [
+      { $match: query },
+      { $addFields: { effectivePrice: effectivePriceExpression(now) } }
+    ];
     if (minPrice || maxPrice) {
-      query.price = {};
-      if (minPrice) query.price.$gte = parseFloat(minPrice);
-      if (maxPrice) query.price.$lte = parseFloat(maxPrice);
+      const priceRange = {};
+      if (minPrice) priceRange.$gte = parseFloat(minPrice);
+      if (maxPrice) priceRange.$lte = parseFloat(maxPrice);
+      pipeline.push({ $match: { effectivePrice: priceRange } });
     }
 
     const sortOptions = {};
-    sortOptions[sortBy] = sortOrder === 'desc' ? -1 : 1;
-
-    const products = await Product.find(query)
-      .populate('category', 'name')
-      .populate('creator', 'name')
-      .sort(sortOptions)
-      .limit(limit * 1)
-      .skip((page - 1) * limit)
-      .exec();
+    if (sortBy === 'rating') {
+      // Rank by average rating, then by how many reviews back it up
+      sortOptions.averageRating = sortOrder === 'desc' ? -1 : 1;
+      sortOptions.reviewCount = sortOrder === 'desc' ? -1 : 1;
+    } else {
+      sortOptions[sortBy === 'price' ? 'effectivePrice' : sortBy] = sortOrder === 'desc' ? -1 : 1;
+    }
 
-    const total = await Product.countDocuments(query);
+    const [result] = await Product.aggregate([
+      ...pipeline,
+      {
+        $facet: {
+          products: [
+            { $sort: sortOptions },
+            { $skip: (page - 1) * limit },
+            { $limit: limit * 1 },
+            { $project: { effectivePrice: 0 } }
+          ],
+          total: [{ $count: 'count' }]
+        }
+      }
+    ]);
+
+    const products = await Product.populate(result.products, [
+      { path: 'category', select: 'name' },
+      { path: 'creator', select: 'name' }
+    ]);
+    const total = result.total.length > 0 ? result.total[0].count : 0;
+
+    const favoriteIds = getFavoriteIds(req.user);
 
     res.json({
-      products,
+      products: products.map(product => ({
+        ...applySalePricing(product),
+        isFavorited: favoriteIds.has(product._id.toString())
+      })),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
@@ -67,11 +112,12 @@ router.get('/', async (req, res) => {
 });
 
 // Get single product (public)
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuthenticate, async (req, res) => {
   try {
     const product = await Product.findById(req.params.id)
       .populate('category', 'name')
-      .populate('creator', 'name email phone');
+      .populate('creator', 'name email phone')
+      .lean();
 
     if (!product) {
       return res.status(404).json({ error: 'Product not found' });
@@ -81,7 +127,10 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ error: 'Product not available' });
     }
 
-    res.json(product);
+    res.json({
+      ...applySalePricing(product),
+      isFavorited: getFavoriteIds(req.user).has(product._id.toString())
+    });
   } catch (error) {
     console.error('Get product error:', error);
     res.status(500).json({ error: 'Failed to fetch product' });
@@ -91,15 +140,16 @@ router.get('/:id', async (req, res) => {
 // Create product (creators only)
 router.post('/', authenticateToken, authorizeRoles('creator', 'admin'), upload.array('images', 5), async (req, res) => {
   try {
-    const { title, description, price, stock, category } = req.body;
+    const { title, description, price, stock, category, options, variants, sale, weight, dimensions } = req.body;
+    const hasVariants = variants !== undefined;
 
-    if (!title || !price || !stock || !category) {
+    if (!title || !category || (!hasVariants && (!price || !stock))) {
       return res.status(400).json({ error: 'Title, price, stock, and category are required' });
     }
 
     const images = req.files ? req.files.map(file => `/uploads/${file.filename}`) : [];
 
-    const product = new Product({
+    const productData = {
       title,
       description,
       price: parseFloat(price),
@@ -107,7 +157,33 @@ router.post('/', authenticateToken, authorizeRoles('creator', 'admin'), upload.a
       images,
       category,
       creator: req.user._id
-    });
+    };
+
+    // Packed weight and size, used to price shipping
+    const packageFields = parsePackage(weight, dimensions);
+    if (packageFields.error) {
+      return res.status(400).json({ error: packageFields.error });
+    }
+    Object.assign(productData, packageFields);
+
+    if (hasVariants) {
+      const parsed = parseVariants(options, variants, images);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      if (parsed.variants.length === 0) {
+        return res.status(400).json({ error: 'At least one variant is required' });
+      }
+      Object.assign(productData, parsed, summarizeVariants(parsed.variants));
+    } else if (sale !== undefined) {
+      const parsedSale = parseSale(sale, productData.price);
+      if (parsedSale.error) {
+        return res.status(400).json({ error: parsedSale.error });
+      }
+      productData.sale = parsedSale.sale;
+    }
+
+    const product = new Product(productData);
 
     await product.save();
 
@@ -125,7 +201,7 @@ router.post('/', authenticateToken, authorizeRoles('creator', 'admin'), upload.a
 // Update product (creator or admin)
 router.put('/:id', authenticateToken, authorizeRoles('creator', 'admin'), upload.array('images', 5), async (req, res) => {
   try {
-    const { title, description, price, stock, category } = req.body;
+    const { title, description, price, stock, category, options, variants, sale, weight, dimensions } = req.body;
     const productId = req.params.id;
 
     const product = await Product.findById(productId);
@@ -145,12 +221,61 @@ router.put('/:id', authenticateToken, authorizeRoles('creator', 'admin'), upload
     if (stock !== undefined) updates.stock = parseInt(stock);
     if (category) updates.category = category;
 
+    const packageFields = parsePackage(weight, dimensions);
+    if (packageFields.error) {
+      return res.status(400).json({ error: packageFields.error });
+    }
+    Object.assign(updates, packageFields);
+
     // Handle image uploads
     if (req.files && req.files.length > 0) {
       const newImages = req.files.map(file => `/uploads/${file.filename}`);
       updates.images = newImages;
     }
 
+    // Handle variants; price and stock then follow the variants
+    const images = updates.images || product.images;
+    if (variants !== undefined) {
+      const parsed = parseVariants(options !== undefined ? options : product.options, variants, images);
+      if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+      }
+      Object.assign(updates, parsed);
+      if (parsed.variants.length > 0) {
+        // Variants carry their own sales
+        Object.assign(updates, summarizeVariants(parsed.variants), { sale: null });
+      }
+    } else if (product.variants.length > 0) {
+      if (price || stock !== undefined) {
+        return res.status(400).json({ error: 'Update variant price and stock through variants' });
+      }
+      if (sale !== undefined) {
+        return res.status(400).json({ error: 'Set sales on the variants of this product' });
+      }
+      if (updates.images) {
+        // Drop variant images that were replaced by the new upload
+        updates.variants = product.variants.map(variant => {
+          variant.images = variant.images.filter(image => images.includes(image));
+          return variant;
+        });
+      }
+    }
+
+    // Sale price for products without variants
+    if (sale !== undefined && variants === undefined && product.variants.length === 0) {
+      const parsedSale = parseSale(sale, updates.price || product.price);
+      if (parsedSale.error) {
+        return res.status(400).json({ error: parsedSale.error });
+      }
+      updates.sale = parsedSale.sale;
+    } else if (updates.price && updates.sale === undefined && product.variants.length === 0) {
+      // A sale that hasn't ended has to stay below the new regular price
+      const current = product.sale;
+      if (current && current.price != null && current.endsAt > new Date() && current.price >= updates.price) {
+        return res.status(400).json({ error: 'Sale price for the product must be below the regular price; update or clear the sale' });
+      }
+    }
+
     const updatedProduct = await Product.findByIdAndUpdate(
       productId,
       updates,
@@ -178,6 +303,7 @@ router.delete('/:id', authenticateToken, authorizeRoles('creator', 'admin'), asy
     }
 
     await Product.findByIdAndDelete(req.params.id);
+    await User.updateMany({ favorites: product._id }, { $pull: { favorites: product._id } });
     res.json({ message: 'Product deleted successfully' });
   } catch (error) {
     console.error('Delete product error:', error);
@@ -195,12 +321,26 @@ router.get('/creator/my-products', authenticateToken, authorizeRoles('creator'),
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
+      .lean()
       .exec();
 
     const total = await Product.countDocuments({ creator: req.user._id });
 
+    // Count how many users favorited each product on this page
+    const productIds = products.map(p => p._id);
+    const favoriteCounts = await User.aggregate([
+      { $match: { favorites: { $in: productIds } } },
+      { $unwind: '$favorites' },
+      { $match: { favorites: { $in: productIds } } },
+      { $group: { _id: '$favorites', count: { $sum: 1 } } }
+    ]);
+    const favoriteCountMap = new Map(favoriteCounts.map(f => [f._id.toString(), f.count]));
+
     res.json({
-      products,
+      products: products.map(product => ({
+        ...product,
+        favoritesCount: favoriteCountMap.get(product._id.toString()) || 0
+      })),
       totalPages: Math.ceil(total / limit),
       currentPage: page,
       total
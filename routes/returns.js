@@ -0,0 +1,362 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const upload = require('../middleware/upload');
+const ReturnRequest = require('../models/ReturnRequest');
+const Order = require('../models/Order');
+const Payment = require('../models/Payment');
+const { restoreStock } = require('../utils/inventory');
+const { roundCurrency } = require('../utils/pricing');
+const { canFulfillmentTransition } = require('../utils/orderStatus');
+const { getReturnWindowEnd } = require('../utils/returnWindow');
+const { recordRefund, processRefund } = require('../utils/refunds');
+const { debitRefund } = require('../utils/ledger');
+const { lockCounter } = require('../utils/counters');
+const notifyBuyer = require('../utils/notifyBuyer');
+const router = express.Router();
+
+const isOwner = (id, user) => id && id.toString() === user._id.toString();
+
+// Creator of the returned items, or an admin
+const canManageReturn = (returnRequest, user) => user.role === 'admin' || isOwner(returnRequest.creator, user);
+
+// Share of the group's coupon discount on the returned units, spread over the group's items by value.
+// Free shipping discounts are not on the items, so nothing is taken off for them.
+const getReturnDiscount = (order, fulfillment, item, quantity) => {
+  if (!fulfillment || !fulfillment.discount || !fulfillment.subtotal) return 0;
+  if (order.coupon && order.coupon.type === 'free_shipping') return 0;
+  return roundCurrency(fulfillment.discount * item.unitPrice * quantity / fulfillment.subtotal);
+};
+
+const populateReturn = (query) => query
+  .populate('product', 'title images')
+  .populate('user', 'name email')
+  .populate('creator', 'name');
+
+// Paginated list of return requests
+const listReturns = async (req, res, query) => {
+  const { page = 1, limit = 20 } = req.query;
+
+  const returns = await populateReturn(ReturnRequest.find(query))
+    .sort({ createdAt: -1 })
+    .limit(limit * 1)
+    .skip((page - 1) * limit)
+    .exec();
+
+  const total = await ReturnRequest.countDocuments(query);
+
+  res.json({
+    returns,
+    totalPages: Math.ceil(total / limit),
+    currentPage: page,
+    total
+  });
+};
+
+// Open a return request for one line item (buyer)
+router.post('/', authenticateToken, upload.array('photos', 5), async (req, res) => {
+  try {
+    const { orderId, lineItemId, reason } = req.body;
+    const quantity = parseInt(req.body.quantity || 1);
+
+    if (!orderId || !lineItemId || !reason) {
+      return res.status(400).json({ error: 'Order, line item and reason are required' });
+    }
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return res.status(400).json({ error: 'Quantity must be at least 1' });
+    }
+
+    const order = await Order.findById(orderId);
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    if (!isOwner(order.user, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to return items from this order' });
+    }
+
+    const item = order.products.id(lineItemId);
+    if (!item || !item.creator) {
+      return res.status(404).json({ error: 'Line item not found' });
+    }
+
+    const fulfillment = order.getFulfillment(item.creator);
+    if (!fulfillment || fulfillment.status !== 'delivered') {
+      return res.status(400).json({ error: 'Only delivered items can be returned' });
+    }
+
+    const windowEnd = getReturnWindowEnd(fulfillment);
+    if (!windowEnd || windowEnd < new Date()) {
+      return res.status(400).json({ error: 'The return window for this item has closed' });
+    }
+
+    let returnRequest;
+    let returnable;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        returnRequest = null;
+
+        // Requests for the same line item run one at a time, so together they can't exceed what was bought
+        await lockCounter(`returns:${item._id}`, session);
+
+        // Quantity already covered by earlier requests that weren't rejected
+        const earlierReturns = await ReturnRequest.find({
+          order: order._id,
+          lineItem: item._id,
+          status: { $ne: 'rejected' }
+        }).session(session);
+        returnable = item.quantity - earlierReturns.reduce((sum, r) => sum + r.quantity, 0);
+        if (quantity > returnable) return;
+
+        returnRequest = new ReturnRequest({
+          order: order._id,
+          lineItem: item._id,
+          product: item.product,
+          variant: item.variant,
+          quantity,
+          user: req.user._id,
+          creator: item.creator,
+          reason,
+          photos: req.files ? req.files.map(file => `/uploads/${file.filename}`) : [],
+          history: [{ status: 'requested', changedBy: req.user._id, note: reason }]
+        });
+        await returnRequest.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (!returnRequest) {
+      return res.status(400).json({ error: `Only ${returnable} of this item can still be returned` });
+    }
+
+    res.status(201).json(returnRequest);
+  } catch (error) {
+    console.error('Create return error:', error);
+    res.status(500).json({ error: 'Failed to create return request' });
+  }
+});
+
+// Get buyer's return requests
+router.get('/my-returns', authenticateToken, async (req, res) => {
+  try {
+    const query = { user: req.user._id };
+    if (req.query.status) query.status = req.query.status;
+
+    await listReturns(req, res, query);
+  } catch (error) {
+    console.error('Get user returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Creator's queue of open returns for their items
+router.get('/creator/queue', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const query = {
+      creator: req.user._id,
+      status: req.query.status || { $in: ReturnRequest.OPEN_STATUSES }
+    };
+
+    await listReturns(req, res, query);
+  } catch (error) {
+    console.error('Get creator returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Admin queue of open returns
+router.get('/admin/queue', authenticateToken, authorizeRoles('admin'), async (req, res) => {
+  try {
+    const query = { status: req.query.status || { $in: ReturnRequest.OPEN_STATUSES } };
+    if (req.query.creator) query.creator = req.query.creator;
+
+    await listReturns(req, res, query);
+  } catch (error) {
+    console.error('Get admin returns error:', error);
+    res.status(500).json({ error: 'Failed to fetch returns' });
+  }
+});
+
+// Get single return request (buyer, creator or admin)
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    const returnRequest = await populateReturn(ReturnRequest.findById(req.params.id));
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return request not found' });
+    }
+
+    if (req.user.role !== 'admin' && !isOwner(returnRequest.user._id, req.user) && !isOwner(returnRequest.creator._id, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to view this return request' });
+    }
+
+    res.json(returnRequest);
+  } catch (error) {
+    console.error('Get return error:', error);
+    res.status(500).json({ error: 'Failed to fetch return request' });
+  }
+});
+
+// Approve or reject a return request (creator or admin)
+router.patch('/:id/review', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const { decision, note } = req.body;
+    const statuses = { approve: 'approved', reject: 'rejected' };
+
+    if (!statuses[decision]) {
+      return res.status(400).json({ error: 'Decision must be approve or reject' });
+    }
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return request not found' });
+    }
+    if (!canManageReturn(returnRequest, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to review this return request' });
+    }
+    if (!returnRequest.canTransition(statuses[decision])) {
+      return res.status(400).json({ error: `Cannot ${decision} a return that is ${returnRequest.status}` });
+    }
+
+    returnRequest.setStatus(statuses[decision], { actor: req.user, note });
+    await returnRequest.save();
+
+    const order = await Order.findById(returnRequest.order);
+    await notifyBuyer(
+      order,
+      `Return request ${returnRequest.status} - Craft Marketplace`,
+      returnRequest.status === 'approved'
+        ? `Your return request for order ${order.orderNumber || order._id} was approved. Please ship the item back and add the tracking number.`
+        : `Your return request for order ${order.orderNumber || order._id} was rejected.${note ? ` Reason: ${note}` : ''}`
+    );
+
+    res.json({ message: `Return request ${returnRequest.status}`, returnRequest });
+  } catch (error) {
+    console.error('Review return error:', error);
+    res.status(500).json({ error: 'Failed to review return request' });
+  }
+});
+
+// Mark an approved return as shipped back (buyer)
+router.patch('/:id/ship-back', authenticateToken, async (req, res) => {
+  try {
+    const { trackingInfo } = req.body;
+
+    const returnRequest = await ReturnRequest.findById(req.params.id);
+    if (!returnRequest) {
+      return res.status(404).json({ error: 'Return request not found' });
+    }
+    if (!isOwner(returnRequest.user, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this return request' });
+    }
+    if (!returnRequest.canTransition('shipped_back')) {
+      return res.status(400).json({ error: 'Only approved returns can be shipped back' });
+    }
+
+    if (trackingInfo) {
+      returnRequest.returnTrackingInfo = {
+        provider: trackingInfo.provider,
+        trackingNumber: trackingInfo.trackingNumber
+      };
+    }
+    returnRequest.setStatus('shipped_back', { actor: req.user });
+    await returnRequest.save();
+
+    res.json({ message: 'Return marked as shipped back', returnRequest });
+  } catch (error) {
+    console.error('Ship back return error:', error);
+    res.status(500).json({ error: 'Failed to update return request' });
+  }
+});
+
+// Confirm receipt of a returned item (creator or admin): restock it and refund the buyer
+router.patch('/:id/receive', authenticateToken, authorizeRoles('creator', 'admin'), async (req, res) => {
+  try {
+    const existing = await ReturnRequest.findById(req.params.id);
+    if (!existing) {
+      return res.status(404).json({ error: 'Return request not found' });
+    }
+    if (!canManageReturn(existing, req.user)) {
+      return res.status(403).json({ error: 'Not authorized to update this return request' });
+    }
+    if (!existing.canTransition('received')) {
+      return res.status(400).json({ error: 'Only approved returns can be received' });
+    }
+
+    let returnRequest;
+    let order;
+    let payment;
+    let refund;
+    let alreadyReceived = false;
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        refund = null;
+        returnRequest = await ReturnRequest.findById(existing._id).session(session);
+
+        // A concurrent or retried receive got here first
+        alreadyReceived = !returnRequest.canTransition('received');
+        if (alreadyReceived) return;
+
+        order = await Order.findById(returnRequest.order).session(session);
+        const item = order.products.id(returnRequest.lineItem);
+
+        await restoreStock([returnRequest], { session });
+
+        // Once all of a creator's items are back, their group is returned
+        item.returnedQuantity += returnRequest.quantity;
+        const fulfillment = order.getFulfillment(returnRequest.creator);
+        const allReturned = order.getCreatorItems(returnRequest.creator)
+          .every(i => i.returnedQuantity >= i.quantity);
+        if (allReturned && fulfillment && canFulfillmentTransition(fulfillment.status, 'returned')) {
+          order.setFulfillmentStatus(returnRequest.creator, 'returned', { actor: req.user, note: 'All items returned' });
+        }
+
+        payment = await Payment.findOne({ order: order._id, status: 'paid' }).session(session);
+        if (payment) {
+          const discount = getReturnDiscount(order, fulfillment, item, returnRequest.quantity);
+          refund = recordRefund(payment, order, {
+            amount: roundCurrency(item.unitPrice * returnRequest.quantity - discount),
+            reason: `Return: ${returnRequest.reason}`,
+            returnRequest: returnRequest._id,
+            actor: req.user
+          });
+          returnRequest.refundAmount = refund ? refund.amount : 0;
+          await payment.save({ session });
+          if (refund) {
+            const platformDiscount = order.coupon && order.coupon.fundedBy === 'platform' ? discount : 0;
+            await debitRefund(returnRequest, session, platformDiscount);
+          }
+        }
+        await order.save({ session });
+
+        returnRequest.setStatus('received', { actor: req.user, note: req.body.note });
+        await returnRequest.save({ session });
+      });
+    } finally {
+      await session.endSession();
+    }
+
+    if (alreadyReceived) {
+      return res.status(400).json({ error: 'Only approved returns can be received' });
+    }
+
+    if (refund) {
+      await processRefund(payment, refund);
+    }
+
+    const refundNote = refund ? ` A refund of ${refund.amount} has been issued.` : '';
+    await notifyBuyer(
+      order,
+      'Return received - Craft Marketplace',
+      `We received the item you returned from order ${order.orderNumber || order._id}.${refundNote}`
+    );
+
+    res.json({ message: 'Return received', returnRequest });
+  } catch (error) {
+    console.error('Receive return error:', error);
+    res.status(500).json({ error: 'Failed to receive return' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,154 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const Review = require('../models/Review');
+const Product = require('../models/Product');
+const Order = require('../models/Order');
+const router = express.Router({ mergeParams: true });
+
+// Rating as a whole number of stars from 1 to 5, or null when it is anything else (e.g. "abc" or 4.7)
+const parseRating = (value) => {
+  const rating = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+  return Number.isInteger(rating) && rating >= 1 && rating <= 5 ? rating : null;
+};
+
+// Get reviews for a product (public)
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10 } = req.query;
+    const query = { product: req.params.productId };
+
+    const reviews = await Review.find(query)
+      .populate('user', 'name')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit)
+      .exec();
+
+    const total = await Review.countDocuments(query);
+
+    res.json({
+      reviews,
+      totalPages: Math.ceil(total / limit),
+      currentPage: page,
+      total
+    });
+  } catch (error) {
+    console.error('Get reviews error:', error);
+    res.status(500).json({ error: 'Failed to fetch reviews' });
+  }
+});
+
+// Create review (buyers with a delivered order containing the product)
+router.post('/', authenticateToken, async (req, res) => {
+  try {
+    const { comment } = req.body;
+    const productId = req.params.productId;
+
+    const rating = parseRating(req.body.rating);
+    if (rating === null) {
+      return res.status(400).json({ error: 'Rating must be a whole number between 1 and 5' });
+    }
+
+    const product = await Product.findById(productId);
+    if (!product || !product.isActive) {
+      return res.status(404).json({ error: 'Product not found' });
+    }
+
+    // The creator's items must have been delivered, even if the rest of the order is still on its way
+    const hasPurchased = await Order.exists({
+      user: req.user._id,
+      'products.product': product._id,
+      $or: [
+        { fulfillments: { $elemMatch: { creator: product.creator, status: 'delivered' } } },
+        { 'fulfillments.0': { $exists: false }, status: 'delivered' } // placed before fulfillment groups
+      ]
+    });
+    if (!hasPurchased) {
+      return res.status(403).json({ error: 'Only buyers with a delivered order can review this product' });
+    }
+
+    const existingReview = await Review.findOne({ product: product._id, user: req.user._id });
+    if (existingReview) {
+      return res.status(400).json({ error: 'You have already reviewed this product' });
+    }
+
+    const review = new Review({
+      product: product._id,
+      user: req.user._id,
+      rating,
+      comment
+    });
+    await review.save();
+
+    await Review.updateProductRating(product._id);
+
+    const populatedReview = await Review.findById(review._id).populate('user', 'name');
+
+    res.status(201).json(populatedReview);
+  } catch (error) {
+    console.error('Create review error:', error);
+    res.status(500).json({ error: 'Failed to create review' });
+  }
+});
+
+// Update review (author only)
+router.put('/:reviewId', authenticateToken, async (req, res) => {
+  try {
+    const { rating, comment } = req.body;
+
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.productId });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to update this review' });
+    }
+
+    if (rating !== undefined) {
+      const parsed = parseRating(rating);
+      if (parsed === null) {
+        return res.status(400).json({ error: 'Rating must be a whole number between 1 and 5' });
+      }
+      review.rating = parsed;
+    }
+    if (comment !== undefined) review.comment = comment;
+    review.updatedAt = new Date();
+
+    await review.save();
+
+    await Review.updateProductRating(review.product);
+
+    const populatedReview = await Review.findById(review._id).populate('user', 'name');
+
+    res.json(populatedReview);
+  } catch (error) {
+    console.error('Update review error:', error);
+    res.status(500).json({ error: 'Failed to update review' });
+  }
+});
+
+// Delete review (author or admin)
+router.delete('/:reviewId', authenticateToken, async (req, res) => {
+  try {
+    const review = await Review.findOne({ _id: req.params.reviewId, product: req.params.productId });
+    if (!review) {
+      return res.status(404).json({ error: 'Review not found' });
+    }
+
+    if (req.user.role !== 'admin' && review.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Not authorized to delete this review' });
+    }
+
+    await Review.findByIdAndDelete(review._id);
+
+    await Review.updateProductRating(review.product);
+
+    res.json({ message: 'Review deleted successfully' });
+  } catch (error) {
+    console.error('Delete review error:', error);
+    res.status(500).json({ error: 'Failed to delete review' });
+  }
+});
+
+module.exports = router;
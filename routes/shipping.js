@@ -0,0 +1,73 @@
+const express = require('express');
+const { authenticateToken, authorizeRoles } = require('../middleware/auth');
+const ShippingProfile = require('../models/ShippingProfile');
+const { loadCartItems } = require('../utils/checkout');
+const { parseDestination, parseShippingRates, quoteShipping } = require('../utils/shipping');
+const { PROVINCE_DISTRICTS } = require('../utils/sriLanka');
+const router = express.Router();
+
+// Sri Lankan districts by province, for address forms and shipping zones
+router.get('/districts', (req, res) => {
+  res.json(PROVINCE_DISTRICTS);
+});
+
+// Price shipping for a cart, per creator
+router.post('/quote', async (req, res) => {
+  try {
+    const { products, destination: rawDestination } = req.body;
+
+    const { cartItems, error: cartError } = await loadCartItems(products);
+    if (cartError) {
+      return res.status(400).json({ error: cartError });
+    }
+
+    const { destination, error: destinationError } = parseDestination(rawDestination);
+    if (destinationError) {
+      return res.status(400).json({ error: destinationError });
+    }
+
+    const quote = await quoteShipping(cartItems, destination);
+    if (quote.error) {
+      return res.status(400).json({ error: quote.error });
+    }
+
+    res.json({ destination, ...quote });
+  } catch (error) {
+    console.error('Shipping quote error:', error);
+    res.status(500).json({ error: 'Failed to quote shipping' });
+  }
+});
+
+// Get creator's shipping profile
+router.get('/profile', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const profile = await ShippingProfile.findOne({ creator: req.user._id });
+    res.json(profile || { creator: req.user._id, rates: [] });
+  } catch (error) {
+    console.error('Get shipping profile error:', error);
+    res.status(500).json({ error: 'Failed to fetch shipping profile' });
+  }
+});
+
+// Create or replace creator's shipping profile
+router.put('/profile', authenticateToken, authorizeRoles('creator'), async (req, res) => {
+  try {
+    const { rates, error } = parseShippingRates(req.body.rates);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const profile = await ShippingProfile.findOneAndUpdate(
+      { creator: req.user._id },
+      { rates, updatedAt: new Date() },
+      { new: true, upsert: true, runValidators: true }
+    );
+
+    res.json(profile);
+  } catch (error) {
+    console.error('Update shipping profile error:', error);
+    res.status(500).json({ error: 'Failed to update shipping profile' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,189 @@
+const mongoose = require("mongoose");
+const Address = require("../models/Address");
+const User = require("../models/User");
+const { SRI_LANKA, normalizeDistrict, getProvince } = require("./sriLanka");
+
+const ADDRESS_FIELDS = ["line1", "line2", "city", "district", "province", "postalCode", "country", "phone"];
+
+const clean = (value) => (value === undefined || value === null ? "" : String(value).trim());
+
+/**
+ * Validates a structured address. Sri Lankan addresses need one of the 25 districts and a 5-digit
+ * postal code, and get their province from the district; elsewhere district and province are free text.
+ * @param {object} raw - { line1, line2, city, district, province, postalCode, country, phone }
+ * @returns {{ address: object } | { error: string }}
+ */
+function parseAddress(raw) {
+  if (!raw || typeof raw !== "object") {
+    return { error: "Address must include line1, city and country" };
+  }
+
+  const address = {};
+  ADDRESS_FIELDS.forEach(field => { address[field] = clean(raw[field]); });
+  address.country = (address.country || SRI_LANKA).toUpperCase();
+
+  if (!address.line1 || !address.city) {
+    return { error: "Address line 1 and city are required" };
+  }
+  if (!/^[A-Z]{2}$/.test(address.country)) {
+    return { error: "Country must be a two-letter ISO code" };
+  }
+  if (address.phone && !/^\+?[0-9 ()-]{7,20}$/.test(address.phone)) {
+    return { error: "Invalid phone number" };
+  }
+
+  if (address.country === SRI_LANKA) {
+    const district = normalizeDistrict(address.district);
+    if (!district) {
+      return { error: address.district ? `${address.district} is not a Sri Lankan district` : "District is required" };
+    }
+
+    const province = getProvince(district);
+    if (address.province && address.province.toLowerCase().replace(/ province$/, "") !== province.toLowerCase()) {
+      return { error: `${district} is in ${province} Province` };
+    }
+    if (!/^\d{5}$/.test(address.postalCode)) {
+      return { error: "Sri Lankan postal codes have 5 digits" };
+    }
+
+    address.district = district;
+    address.province = province;
+  } else if (address.postalCode && !/^[A-Za-z0-9][A-Za-z0-9 -]{1,10}$/.test(address.postalCode)) {
+    return { error: "Invalid postal code" };
+  }
+
+  // Leave out optional fields that were not given
+  Object.keys(address).forEach(field => { if (!address[field]) delete address[field]; });
+  return { address };
+}
+
+/**
+ * Shipping destination for a structured address, as used by quoteShipping
+ * @param {object} address - Parsed address or snapshot
+ * @returns {{ country: string, district: string|null }}
+ */
+function toDestination(address) {
+  return {
+    country: address.country || SRI_LANKA,
+    district: address.country === SRI_LANKA || !address.country ? address.district || null : null
+  };
+}
+
+/**
+ * Address as printed on labels and in emails, one line per part
+ * @param {object|string} address - Structured address, or the free text of an older order
+ * @returns {string}
+ */
+function formatAddress(address) {
+  if (!address || typeof address === "string") return address || "";
+
+  return [
+    address.line1,
+    address.line2,
+    [address.city, address.postalCode].filter(Boolean).join(" "),
+    [address.district, address.province].filter(Boolean).join(", "),
+    address.country,
+    address.phone
+  ].filter(Boolean).join("\n");
+}
+
+/**
+ * Snapshot of an address book entry, for an order
+ * @param {object} entry - Address document
+ * @returns {object}
+ */
+function snapshotAddress(entry) {
+  const snapshot = {};
+  ADDRESS_FIELDS.forEach(field => { if (entry[field]) snapshot[field] = entry[field]; });
+  return snapshot;
+}
+
+/**
+ * Makes one of a user's addresses their default shipping address
+ * @param {object} userId
+ * @param {object} addressId
+ */
+async function setDefaultAddress(userId, addressId) {
+  await Address.updateMany({ user: userId, _id: { $ne: addressId } }, { $set: { isDefault: false } });
+  await Address.updateOne({ user: userId, _id: addressId }, { $set: { isDefault: true } });
+}
+
+/**
+ * Moves the free-text address older accounts kept on the user into their address book, once.
+ * The text is split on commas and line breaks: the first part becomes line 1, the last the city
+ * and anything between line 2. It becomes the default unless the user already has one.
+ * @param {object} user - User document
+ * @returns {Promise<object|null>} - The new Address document, or null when there was nothing to move
+ */
+async function importLegacyAddress(user) {
+  const legacy = clean(user.address);
+  if (!legacy) return null;
+
+  const parts = legacy.split(/[,\n]/).map(clean).filter(Boolean);
+  let entry = null;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      entry = null;
+
+      // A concurrent request may have moved it already
+      const claimed = await User.updateOne(
+        { _id: user._id, address: user.address },
+        { $unset: { address: 1 } },
+        { session }
+      );
+      if (claimed.modifiedCount === 0) return;
+
+      const hasDefault = await Address.exists({ user: user._id, isDefault: true }).session(session);
+      [entry] = await Address.create([{
+        user: user._id,
+        label: "Imported",
+        line1: parts[0],
+        line2: parts.slice(1, -1).join(", ") || undefined,
+        city: parts[parts.length - 1],
+        phone: user.phone,
+        isDefault: !hasDefault
+      }], { session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  user.address = undefined;
+  return entry;
+}
+
+/**
+ * Address an order ships to: one sent with the order, an entry from the buyer's address book,
+ * or else their default shipping address
+ * @param {object} choice - { shippingAddress, addressId } from the request body
+ * @param {object} user - (Optional) Buyer's user document
+ * @returns {Promise<object>} - { address } snapshot, or { error }
+ */
+async function resolveShippingAddress({ shippingAddress, addressId }, user) {
+  if (shippingAddress) {
+    return parseAddress(shippingAddress);
+  }
+
+  if (user) {
+    await importLegacyAddress(user);
+    const entry = addressId
+      ? await Address.findOne({ _id: addressId, user: user._id })
+      : await Address.findOne({ user: user._id, isDefault: true });
+    if (entry) return { address: snapshotAddress(entry) };
+    if (addressId) return { error: "Address not found" };
+  }
+
+  return { error: "Shipping address is required" };
+}
+
+module.exports = {
+  ADDRESS_FIELDS,
+  parseAddress,
+  toDestination,
+  formatAddress,
+  snapshotAddress,
+  setDefaultAddress,
+  importLegacyAddress,
+  resolveShippingAddress
+};
@@ -0,0 +1,50 @@
+const mongoose = require("mongoose");
+const Payment = require("../models/Payment");
+const notifyBuyer = require("./notifyBuyer");
+const { releaseOrderStock } = require("./reservations");
+const { recordRefund, processRefund } = require("./refunds");
+const { releaseCoupon } = require("./coupons");
+
+/**
+ * Cancels an order: gives back its stock and coupon use and refunds whatever was paid, then emails the buyer about the refund
+ * @param {object} order - Order document that may move to cancelled
+ * @param {object} actor - (Optional) User cancelling it; none for the buyer as a guest or the system
+ * @param {string} note - (Optional) Reason, kept in the status history
+ * @returns {Promise<object|null>} - The refund entry, or null when nothing was paid
+ */
+async function cancelOrder(order, actor, note) {
+  // Capture the items still holding stock before their groups are cancelled
+  const liveItems = order.getLiveItems();
+  order.setStatus("cancelled", { actor, note });
+
+  let payment;
+  let refund;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await releaseOrderStock(order, liveItems, session);
+      await releaseCoupon(order, session);
+
+      payment = await Payment.findOne({ order: order._id, status: "paid" }).session(session);
+      refund = payment && recordRefund(payment, order, { reason: note || "Order cancelled", actor });
+      if (refund) await payment.save({ session });
+
+      await order.save({ session });
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (refund) {
+    await processRefund(payment, refund);
+    await notifyBuyer(
+      order,
+      "Order cancelled - Craft Marketplace",
+      `Your order ${order.orderNumber || order._id} was cancelled. A refund of ${refund.amount} has been issued.`
+    );
+  }
+
+  return refund;
+}
+
+module.exports = cancelOrder;
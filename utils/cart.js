@@ -0,0 +1,198 @@
+const crypto = require("crypto");
+const Cart = require("../models/Cart");
+const Product = require("../models/Product");
+const { roundCurrency } = require("./pricing");
+const { getUnitPrice, isSaleActive } = require("./sales");
+const { findVariant } = require("./variants");
+
+const sameId = (a, b) => String(a || "") === String(b || "");
+
+// Guest carts are dropped after this many days without changes
+function getCartExpiry(days = parseInt(process.env.CART_TTL_DAYS || "30")) {
+  return new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Anonymous cart token from the X-Cart-Token header, or cartToken in the body
+ * @param {object} req - Express request
+ * @returns {string|null}
+ */
+function getCartToken(req) {
+  return req.headers["x-cart-token"] || (req.body && req.body.cartToken) || null;
+}
+
+/**
+ * The caller's cart: the signed-in user's, or the guest cart for their cart token
+ * @param {object} req - Express request, after optionalAuthenticate
+ * @returns {Promise<object|null>} - Cart document
+ */
+async function findCart(req) {
+  if (req.user) {
+    return Cart.findOne({ user: req.user._id });
+  }
+  const token = getCartToken(req);
+  return token ? Cart.findOne({ token, user: null }) : null;
+}
+
+/**
+ * Finds the caller's cart, creating one (with a fresh token for guests) when there is none
+ * @param {object} req - Express request, after optionalAuthenticate
+ * @returns {Promise<object>} - Cart document, not yet saved when new
+ */
+async function findOrCreateCart(req) {
+  const cart = await findCart(req);
+  if (cart) return cart;
+
+  return req.user
+    ? new Cart({ user: req.user._id })
+    : new Cart({ token: crypto.randomBytes(24).toString("hex") });
+}
+
+/**
+ * Marks a cart as changed and pushes back a guest cart's expiry
+ * @param {object} cart - Cart document
+ */
+async function saveCart(cart) {
+  cart.updatedAt = new Date();
+  if (!cart.user) cart.expiresAt = getCartExpiry();
+  return cart.save();
+}
+
+/**
+ * Checks that a product, or one of its variants, can be added to a cart in a quantity
+ * @param {object} product - Product document
+ * @param {string} variantId - (Optional) Variant _id, required when the product has variants
+ * @param {number} quantity - Total quantity wanted in the cart
+ * @returns {object} - { variant, unitPrice } or { error }
+ */
+function checkCartItem(product, variantId, quantity) {
+  if (!product || !product.isActive) {
+    return { error: "Product is not available" };
+  }
+
+  let variant = null;
+  if (product.variants.length > 0) {
+    variant = findVariant(product, variantId);
+    if (!variant) {
+      return { error: `Please choose a variant for ${product.title}` };
+    }
+    if (!variant.isActive) {
+      return { error: `Variant ${variant.sku} of ${product.title} is not available` };
+    }
+  }
+
+  const stock = variant ? variant.stock : product.stock;
+  if (quantity > stock) {
+    return { error: `Only ${Math.max(stock, 0)} of ${product.title} left in stock` };
+  }
+
+  return { variant, unitPrice: getUnitPrice(product, variant) };
+}
+
+/**
+ * Merges a guest cart into a user's cart after they sign in. Quantities of the same item are added up;
+ * a guest cart is simply handed over when the user has no cart yet.
+ * @param {string} token - Guest cart token
+ * @param {object} user - User document
+ * @returns {Promise<object|null>} - The user's cart, or null when there was no guest cart
+ */
+async function mergeGuestCart(token, user) {
+  const guestCart = token ? await Cart.findOne({ token, user: null }) : null;
+  if (!guestCart) return null;
+
+  const userCart = await Cart.findOne({ user: user._id });
+  if (!userCart) {
+    guestCart.user = user._id;
+    guestCart.token = undefined;
+    guestCart.expiresAt = undefined;
+    guestCart.updatedAt = new Date();
+    return guestCart.save();
+  }
+
+  for (const item of guestCart.items) {
+    const existing = userCart.items.find(i => sameId(i.product, item.product) && sameId(i.variant, item.variant));
+    if (existing) {
+      existing.quantity += item.quantity;
+    } else {
+      userCart.items.push({
+        product: item.product,
+        variant: item.variant,
+        quantity: item.quantity,
+        unitPrice: item.unitPrice,
+        addedAt: item.addedAt
+      });
+    }
+  }
+
+  await Cart.deleteOne({ _id: guestCart._id });
+  userCart.updatedAt = new Date();
+  return userCart.save();
+}
+
+/**
+ * Cart as shown to the buyer, priced at live prices. Items that can no longer be bought as they are
+ * carry an issue: unavailable, or insufficient_stock; priceChanged flags a price that moved since adding.
+ * @param {object} cart - Cart document, or null
+ * @returns {Promise<object>} - { token, items, subtotal, itemCount, canCheckout }
+ */
+async function describeCart(cart) {
+  if (!cart) {
+    return { token: null, items: [], subtotal: 0, itemCount: 0, canCheckout: false };
+  }
+
+  const products = await Product.find({ _id: { $in: cart.items.map(item => item.product) } });
+  const productById = new Map(products.map(product => [product._id.toString(), product]));
+
+  const items = cart.items.map(item => {
+    const product = productById.get(item.product.toString());
+    const variant = product ? findVariant(product, item.variant) : null;
+    const view = {
+      _id: item._id,
+      product: item.product,
+      variant: item.variant,
+      quantity: item.quantity,
+      addedAt: item.addedAt
+    };
+
+    if (!product || !product.isActive || (item.variant ? !variant || !variant.isActive : product.variants.length > 0)) {
+      return { ...view, title: product ? product.title : undefined, issue: "unavailable" };
+    }
+
+    const source = variant || product;
+    const unitPrice = getUnitPrice(product, variant);
+    return {
+      ...view,
+      title: product.title,
+      sku: variant ? variant.sku : undefined,
+      options: variant ? variant.options : undefined,
+      image: (variant && variant.images[0]) || product.images[0],
+      creator: product.creator,
+      unitPrice,
+      originalPrice: source.price,
+      onSale: isSaleActive(source.sale),
+      lineTotal: roundCurrency(unitPrice * item.quantity),
+      available: source.stock,
+      priceChanged: item.unitPrice !== undefined && item.unitPrice !== unitPrice,
+      issue: item.quantity > source.stock ? "insufficient_stock" : undefined
+    };
+  });
+
+  const buyable = items.filter(item => !item.issue);
+  return {
+    token: cart.user ? null : cart.token,
+    items,
+    subtotal: roundCurrency(buyable.reduce((sum, item) => sum + item.lineTotal, 0)),
+    itemCount: buyable.reduce((sum, item) => sum + item.quantity, 0),
+    canCheckout: items.length > 0 && buyable.length === items.length
+  };
+}
+
+module.exports = {
+  getCartToken,
+  findCart,
+  findOrCreateCart,
+  saveCart,
+  checkCartItem,
+  mergeGuestCart,
+  describeCart
+};
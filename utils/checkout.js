@@ -0,0 +1,46 @@
+const Product = require("../models/Product");
+const { findVariant } = require("./variants");
+
+/**
+ * Loads and checks the products a buyer wants to order; stock is checked when it is taken
+ * @param {Array} products - [{ product, variant, quantity }] as sent by the client
+ * @returns {Promise<object>} - { cartItems: [{ product, variant, quantity }] } with documents, or { error }
+ */
+async function loadCartItems(products) {
+  if (!products || !Array.isArray(products) || products.length === 0) {
+    return { error: "Products are required" };
+  }
+
+  const cartItems = [];
+  for (const item of products) {
+    const quantity = parseInt(item.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1) {
+      return { error: "Each item needs a quantity of at least 1" };
+    }
+
+    const product = await Product.findById(item.product);
+    if (!product) {
+      return { error: `Product ${item.product} not found` };
+    }
+    if (!product.isActive) {
+      return { error: `Product ${product.title} is not available` };
+    }
+
+    let variant = null;
+    if (product.variants.length > 0) {
+      variant = findVariant(product, item.variant);
+      if (!variant) {
+        return { error: `Please choose a variant for ${product.title}` };
+      }
+      if (!variant.isActive) {
+        return { error: `Variant ${variant.sku} of ${product.title} is not available` };
+      }
+    }
+
+    cartItems.push({ product, variant, quantity });
+  }
+
+  return { cartItems };
+}
+
+module.exports = { loadCartItems };
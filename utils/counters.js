@@ -0,0 +1,50 @@
+const Counter = require("../models/Counter");
+
+/**
+ * Next value of a named sequence. Inside a transaction an aborted checkout gives its number back.
+ * @param {string} name - Sequence name, e.g. "order"
+ * @param {object} session - (Optional) Mongoose client session
+ * @returns {Promise<number>} - 1 for a new sequence
+ */
+async function nextSequence(name, session) {
+  const counter = await Counter.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { new: true, upsert: true, session }
+  );
+  return counter.seq;
+}
+
+/**
+ * Human-readable order number, e.g. CM-000123
+ * @param {object} session - (Optional) Mongoose client session
+ * @returns {Promise<string>}
+ */
+async function nextOrderNumber(session) {
+  const seq = await nextSequence("order", session);
+  return `CM-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Sequential invoice number, e.g. INV-000042
+ * @param {object} session - (Optional) Mongoose client session
+ * @returns {Promise<string>}
+ */
+async function nextInvoiceNumber(session) {
+  const seq = await nextSequence("invoice", session);
+  return `INV-${String(seq).padStart(6, "0")}`;
+}
+
+/**
+ * Writes to a named counter inside a transaction, so transactions that lock the same name conflict:
+ * the later one is retried and sees what the earlier one wrote
+ * @param {string} name - e.g. "payouts:<creatorId>"
+ * @param {object} session - Mongoose client session
+ */
+async function lockCounter(name, session) {
+  // Created outside the transaction: concurrent upserts of a new document would fail instead of conflicting
+  await Counter.updateOne({ _id: name }, { $setOnInsert: { seq: 0 } }, { upsert: true });
+  await Counter.updateOne({ _id: name }, { $inc: { seq: 1 } }, { session });
+}
+
+module.exports = { nextSequence, nextOrderNumber, nextInvoiceNumber, lockCounter };
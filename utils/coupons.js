@@ -0,0 +1,174 @@
+const Coupon = require("../models/Coupon");
+const CouponRedemption = require("../models/CouponRedemption");
+const { roundCurrency } = require("./pricing");
+
+// Raised when a coupon runs out, or the buyer uses up their share of it, between validation and checkout
+class CouponLimitError extends Error {
+  constructor(code, message = `Coupon ${code} has reached its usage limit`) {
+    super(message);
+    this.name = "CouponLimitError";
+    this.code = code;
+  }
+}
+
+const includesId = (ids, id) => ids.some(value => value.toString() === (id && id.toString()));
+
+// Redemptions made by a buyer: their account, or the email a guest checked out with
+const buyerQuery = (user, email) => (user ? { user: user._id } : { email: (email || "").toLowerCase() });
+
+/**
+ * Whether a coupon covers a product, by its category and creator scopes
+ * @param {object} coupon - Coupon document
+ * @param {object} product - Product document
+ * @returns {boolean}
+ */
+function isEligibleProduct(coupon, product) {
+  return (coupon.categories.length === 0 || includesId(coupon.categories, product.category)) &&
+    (coupon.creators.length === 0 || includesId(coupon.creators, product.creator));
+}
+
+/**
+ * Checks a coupon against an order and works out the discount
+ * @param {string} code - Code entered by the buyer
+ * @param {object} checkout
+ * @param {Array} checkout.cartItems - [{ product, variant, quantity }] with product documents
+ * @param {object} checkout.pricing - Result of priceOrder for the same items
+ * @param {object} checkout.user - (Optional) Buyer's user document
+ * @param {string} checkout.email - (Optional) Guest buyer's email
+ * @returns {Promise<object>} - { coupon, discount, allocations: Map(creatorId -> discount) } or { error }
+ */
+async function evaluateCoupon(code, { cartItems, pricing, user, email }) {
+  const coupon = await Coupon.findOne({ code: String(code).trim().toUpperCase() });
+  if (!coupon || !coupon.isActive) {
+    return { error: "Invalid coupon code" };
+  }
+
+  const now = new Date();
+  if ((coupon.startsAt && coupon.startsAt > now) || (coupon.endsAt && coupon.endsAt < now)) {
+    return { error: "This coupon is not valid at this time" };
+  }
+  if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+    return { error: "This coupon has reached its usage limit" };
+  }
+
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, ...buyerQuery(user, email) });
+    if (used >= coupon.perUserLimit) {
+      return { error: "You have already used this coupon" };
+    }
+  }
+
+  const eligibleItems = pricing.lineItems.filter((item, index) => isEligibleProduct(coupon, cartItems[index].product));
+  const eligibleSubtotal = roundCurrency(eligibleItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+  if (eligibleSubtotal === 0) {
+    return { error: "This coupon does not apply to any items in your order" };
+  }
+  if (eligibleSubtotal < coupon.minOrderValue) {
+    return { error: `This coupon needs a minimum spend of ${coupon.minOrderValue} on qualifying items` };
+  }
+
+  // Free shipping covers the shipping of creators with qualifying items
+  const eligibleCreators = new Set(eligibleItems.map(item => item.creator.toString()));
+  const shippingCovered = pricing.shipping.filter(group => eligibleCreators.has(group.creator.toString()));
+
+  let discount;
+  if (coupon.type === "free_shipping") {
+    discount = shippingCovered.reduce((sum, group) => sum + group.shippingCost, 0);
+  } else if (coupon.type === "percentage") {
+    discount = eligibleSubtotal * coupon.value / 100;
+    if (coupon.maxDiscount) discount = Math.min(discount, coupon.maxDiscount);
+  } else {
+    discount = Math.min(coupon.value, eligibleSubtotal);
+  }
+  discount = roundCurrency(discount);
+
+  // Which creators each part of the discount applies to: their shipping, or their share of the qualifying items
+  const allocations = new Map();
+  if (coupon.type === "free_shipping") {
+    shippingCovered.forEach(group => allocations.set(group.creator.toString(), group.shippingCost));
+  } else {
+    let remaining = discount;
+    eligibleItems.forEach((item, index) => {
+      const share = index === eligibleItems.length - 1
+        ? remaining
+        : roundCurrency(discount * item.unitPrice * item.quantity / eligibleSubtotal);
+      remaining = roundCurrency(remaining - share);
+
+      const key = item.creator.toString();
+      allocations.set(key, roundCurrency((allocations.get(key) || 0) + share));
+    });
+  }
+
+  return { coupon, discount, allocations };
+}
+
+/**
+ * Counts a coupon redemption for a new order, inside the checkout transaction
+ * @param {object} coupon - Coupon document
+ * @param {object} order - Order document
+ * @param {object} redemption - { user, email, discount }
+ * @param {object} session - Mongoose client session
+ * @throws {CouponLimitError} - When the last use, or the buyer's last use, was taken by another checkout
+ */
+async function redeemCoupon(coupon, order, { user, email, discount }, session) {
+  const query = { _id: coupon._id };
+  if (coupon.usageLimit) query.usedCount = { $lt: coupon.usageLimit };
+
+  const result = await Coupon.updateOne(query, { $inc: { usedCount: 1 } }, { session });
+  if (result.modifiedCount === 0) {
+    throw new CouponLimitError(coupon.code);
+  }
+
+  // Counted after the increment: concurrent checkouts for the same coupon conflict on it and run one at a time
+  if (coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({ coupon: coupon._id, ...buyerQuery(user, email) })
+      .session(session);
+    if (used >= coupon.perUserLimit) {
+      throw new CouponLimitError(coupon.code, "You have already used this coupon");
+    }
+  }
+
+  await CouponRedemption.create([{
+    coupon: coupon._id,
+    order: order._id,
+    user: user ? user._id : undefined,
+    email: user ? undefined : email,
+    discount
+  }], { session });
+}
+
+/**
+ * Gives back the coupon use of an order that was cancelled, deleted or let go of its stock
+ * @param {object} order - Order document
+ * @param {object} session - Mongoose client session
+ * @returns {Promise<boolean>} - Whether the order had a redemption to give back
+ */
+async function releaseCoupon(order, session) {
+  const redemption = await CouponRedemption.findOneAndDelete({ order: order._id }, { session });
+  if (!redemption) return false;
+
+  await Coupon.updateOne({ _id: redemption.coupon, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } }, { session });
+  return true;
+}
+
+/**
+ * Counts an order's coupon use again after it was released, e.g. when payment arrives after its reservation
+ * expired. The buyer has already paid the discounted price, so usage limits are not checked.
+ * @param {object} order - Order document
+ * @param {object} session - Mongoose client session
+ */
+async function restoreCoupon(order, session) {
+  if (!order.coupon || !order.coupon.coupon) return;
+  if (await CouponRedemption.exists({ order: order._id }).session(session)) return;
+
+  await Coupon.updateOne({ _id: order.coupon.coupon }, { $inc: { usedCount: 1 } }, { session });
+  await CouponRedemption.create([{
+    coupon: order.coupon.coupon,
+    order: order._id,
+    user: order.user || undefined,
+    email: order.user ? undefined : order.customerInfo && order.customerInfo.email,
+    discount: order.discount
+  }], { session });
+}
+
+module.exports = { CouponLimitError, isEligibleProduct, evaluateCoupon, redeemCoupon, releaseCoupon, restoreCoupon };
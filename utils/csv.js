@@ -0,0 +1,26 @@
+/**
+ * Quotes a value for a CSV cell when it contains a delimiter, quote or line break
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeCsv(value) {
+  if (value === undefined || value === null) return "";
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Builds a CSV document
+ * @param {Array} rows - Objects to write, one per line
+ * @param {Array} columns - [{ key, label }] in output order
+ * @returns {string}
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(column => escapeCsv(column.label)).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map(column => escapeCsv(row[column.key])).join(","));
+  }
+  return lines.join("\r\n") + "\r\n";
+}
+
+module.exports = { toCsv };
@@ -0,0 +1,87 @@
+const Product = require("../models/Product");
+
+// Raised when one or more line items cannot be taken from stock
+class InsufficientStockError extends Error {
+  constructor(items) {
+    super("Insufficient stock");
+    this.name = "InsufficientStockError";
+    this.items = items;
+  }
+}
+
+/**
+ * Adjusts stock for an order line item, including the variant stock when the item references one
+ * @param {object} item - Line item with product (id or populated doc), optional variant and quantity
+ * @param {number} delta - Amount to add (negative to take stock)
+ * @param {object} options - (Optional) query options such as { session }
+ * @returns {Promise<object>} - Mongoose update result
+ */
+async function adjustStock(item, delta, options = {}) {
+  const productId = item.product._id || item.product;
+
+  if (item.variant) {
+    return Product.updateOne(
+      { _id: productId, "variants._id": item.variant },
+      { $inc: { "variants.$.stock": delta, stock: delta } },
+      options
+    );
+  }
+
+  return Product.updateOne({ _id: productId }, { $inc: { stock: delta } }, options);
+}
+
+/**
+ * Takes stock for each line item only where enough is left, so concurrent checkouts cannot oversell.
+ * Run inside a transaction: on failure the items that were taken are rolled back with it.
+ * @param {Array} items - Line items with product, optional variant and quantity
+ * @param {object} session - Mongoose client session
+ * @throws {InsufficientStockError} - Naming every item that ran out
+ */
+async function takeStock(items, session) {
+  const unavailable = [];
+
+  for (const item of items) {
+    const productId = item.product._id || item.product;
+    const filter = item.variant
+      ? { _id: productId, isActive: true, variants: { $elemMatch: { _id: item.variant, isActive: true, stock: { $gte: item.quantity } } } }
+      : { _id: productId, isActive: true, stock: { $gte: item.quantity } };
+    const update = item.variant
+      ? { $inc: { "variants.$.stock": -item.quantity, stock: -item.quantity } }
+      : { $inc: { stock: -item.quantity } };
+
+    const result = await Product.updateOne(filter, update, { session });
+
+    if (result.modifiedCount === 0) {
+      const product = await Product.findById(productId).session(session);
+      const variant = item.variant && product
+        ? product.variants.find(v => v._id.toString() === item.variant.toString())
+        : null;
+
+      unavailable.push({
+        product: productId,
+        variant: item.variant,
+        sku: item.sku,
+        title: product ? product.title : undefined,
+        requested: item.quantity,
+        available: variant ? variant.stock : product ? product.stock : 0
+      });
+    }
+  }
+
+  if (unavailable.length > 0) {
+    throw new InsufficientStockError(unavailable);
+  }
+}
+
+/**
+ * Returns the stock of an order's line items
+ * @param {Array} items - Order line items
+ * @param {object} options - (Optional) query options such as { session }
+ */
+async function restoreStock(items, options = {}) {
+  for (const item of items) {
+    await adjustStock(item, item.quantity, options);
+  }
+}
+
+module.exports = { InsufficientStockError, adjustStock, takeStock, restoreStock };
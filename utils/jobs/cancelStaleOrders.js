@@ -0,0 +1,105 @@
+const Order = require("../../models/Order");
+const Payment = require("../../models/Payment");
+const cancelOrder = require("../cancelOrder");
+const notifyBuyer = require("../notifyBuyer");
+const { settlePayment } = require("../paymentResults");
+const { getProviderForPayment } = require("../paymentProviders");
+
+// Orders still unpaid this many minutes after checkout are cancelled
+const getTimeoutMinutes = () => parseInt(process.env.UNPAID_ORDER_TIMEOUT_MINUTES || "1440");
+
+/**
+ * Whether an unpaid order can be given up on. Cash on delivery is paid later by design, a deposit slip
+ * waiting for review or a stock hold still running means payment may yet arrive, and the provider
+ * is asked once more in case its notification was lost.
+ * @param {object} order - Order document
+ * @param {object} payment - The order's latest Payment document, if any
+ * @returns {Promise<boolean>}
+ */
+async function isAbandoned(order, payment) {
+  if (!payment) return true;
+
+  const provider = getProviderForPayment(payment);
+  if (provider && !provider.paysBeforeFulfillment) return false;
+  if (payment.slip && payment.slip.status === "submitted") return false;
+  if (payment.reservation && payment.reservation.status === "held" && payment.reservation.expiresAt > new Date()) {
+    return false;
+  }
+
+  if (payment.status === "pending" && provider) {
+    const result = await provider.verify({ order, payment });
+    if (result.status !== payment.status) {
+      await settlePayment({
+        payment,
+        order,
+        status: result.status,
+        event: result.event,
+        note: `Payment ${result.status} (verified with ${provider.label})`
+      });
+    }
+    if (result.status === "paid") return false;
+  }
+
+  return true;
+}
+
+/**
+ * Cancels orders left unpaid past UNPAID_ORDER_TIMEOUT_MINUTES, releases their stock and emails the buyer
+ * @returns {Promise<number>} - Number of orders cancelled
+ */
+async function cancelStaleOrders() {
+  const timeout = getTimeoutMinutes();
+  const cursor = Order.find({
+    status: { $in: ["pending", "payment_failed"] },
+    paymentStatus: { $nin: ["paid", "refunded", "chargedback"] },
+    createdAt: { $lte: new Date(Date.now() - timeout * 60 * 1000) }
+  }).cursor();
+
+  let cancelled = 0;
+  for await (const order of cursor) {
+    try {
+      const payment = await Payment.findOne({ order: order._id }).sort({ createdAt: -1 });
+      if (!(await isAbandoned(order, payment))) continue;
+
+      if (payment) {
+        // A payment that settled since it was read keeps the order alive
+        const claimed = await Payment.updateOne(
+          { _id: payment._id, status: { $in: ["pending", "failed", "cancelled"] } },
+          { $set: { status: "cancelled" } }
+        );
+        if (claimed.matchedCount === 0) continue;
+      }
+
+      // Verifying the payment may have changed the order, and the buyer may have acted on it meanwhile
+      const current = await Order.findById(order._id);
+      if (!current || !["pending", "payment_failed"].includes(current.status)) continue;
+
+      current.paymentStatus = "cancelled";
+      await cancelOrder(current, null, `Payment not received within ${timeout} minutes`);
+      cancelled++;
+
+      const reference = current.orderNumber || current._id;
+      await notifyBuyer(
+        current,
+        `Order ${reference} cancelled - Craft Marketplace`,
+        `We did not receive payment for your order ${reference}, so it has been cancelled and its items released. ` +
+        "You are welcome to place a new order."
+      );
+    } catch (error) {
+      console.error("Cancel stale order error:", order._id.toString(), error.message);
+    }
+  }
+
+  return cancelled;
+}
+
+module.exports = {
+  name: "cancel-stale-orders",
+  intervalSetting: "STALE_ORDER_SWEEP_INTERVAL_MS",
+  defaultInterval: 15 * 60 * 1000,
+
+  async run() {
+    const cancelled = await cancelStaleOrders();
+    return cancelled > 0 ? `Cancelled ${cancelled} unpaid order(s)` : null;
+  }
+};
@@ -0,0 +1,169 @@
+const os = require("os");
+const JobLock = require("../../models/JobLock");
+const releaseReservations = require("./releaseReservations");
+const cancelStaleOrders = require("./cancelStaleOrders");
+const releaseHeldFunds = require("./releaseHeldFunds");
+
+/**
+ * Scheduled jobs, run in-process on every app instance. Each one implements:
+ * - name: identifies the job and its lock
+ * - intervalSetting, defaultInterval: environment variable holding the milliseconds between runs,
+ *   and the value used when it isn't set; 0 turns the job off
+ * - run(): one pass of the job; resolves to a line for the log, or nothing when there was nothing to do
+ * A lock in the database (JobLock) makes sure only one instance runs a job per interval.
+ */
+const jobs = [releaseReservations, cancelStaleOrders, releaseHeldFunds];
+
+const INSTANCE_ID = `${os.hostname()}:${process.pid}`;
+
+// Longest a run may take before another instance assumes it died and takes over
+const getLockTime = () => parseInt(process.env.JOB_LOCK_TIMEOUT_MS || String(10 * 60 * 1000));
+
+const timers = new Map();
+const running = new Set();
+
+/**
+ * Milliseconds between runs of a job
+ * @param {object} job
+ * @returns {number}
+ */
+function getInterval(job) {
+  const value = process.env[job.intervalSetting];
+  return value !== undefined && value !== "" ? parseInt(value) : job.defaultInterval;
+}
+
+/**
+ * Takes a job's lock unless another instance holds it
+ * @param {object} job
+ * @param {boolean} force - Take it between scheduled runs too, as long as the job isn't running
+ * @returns {Promise<boolean>} - Whether this instance got it
+ */
+async function acquireLock(job, force) {
+  const now = new Date();
+  const free = [{ lockedUntil: null }, { lockedUntil: { $lte: now } }];
+  if (force) free.push({ running: false });
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { _id: job.name, $or: free },
+      {
+        $set: {
+          lockedBy: INSTANCE_ID,
+          lockedUntil: new Date(now.getTime() + getLockTime()),
+          running: true,
+          lastStartedAt: now
+        }
+      },
+      { new: true, upsert: true }
+    );
+    return !!lock;
+  } catch (error) {
+    if (error.code === 11000) return false; // held elsewhere: the upsert ran into the existing lock
+    throw error;
+  }
+}
+
+/**
+ * Runs a job once if its lock is free. The lock is then kept until just before the next scheduled run,
+ * so other instances' timers skip this interval instead of running it again.
+ * @param {object} job
+ * @param {object} options - (Optional) { force: true } to run now even if this interval already ran
+ * @returns {Promise<boolean>} - Whether the job ran here
+ */
+async function runJob(job, { force = false } = {}) {
+  if (running.has(job.name)) return false; // the previous run on this instance is still going
+  running.add(job.name);
+
+  try {
+    if (!(await acquireLock(job, force))) return false;
+
+    const startedAt = Date.now();
+    let result = null;
+    let failure = null;
+    try {
+      result = await job.run();
+      if (result) console.log(`${job.name}: ${result}`);
+    } catch (error) {
+      failure = error;
+      console.error(`Job ${job.name} error:`, error);
+    }
+
+    await JobLock.updateOne(
+      { _id: job.name, lockedBy: INSTANCE_ID },
+      {
+        $set: {
+          lockedUntil: new Date(Math.max(Date.now(), startedAt + getInterval(job) - 1000)),
+          running: false,
+          lastFinishedAt: new Date(),
+          lastResult: result,
+          lastError: failure ? failure.message : null
+        }
+      }
+    );
+    return true;
+  } catch (error) {
+    console.error(`Job ${job.name} lock error:`, error);
+    return false;
+  } finally {
+    running.delete(job.name);
+  }
+}
+
+/**
+ * Starts the timers of every job with an interval. JOBS_ENABLED=false leaves jobs to other instances.
+ */
+function startJobs() {
+  if (process.env.JOBS_ENABLED === "false") return;
+
+  for (const job of jobs) {
+    const interval = getInterval(job);
+    if (!(interval > 0) || timers.has(job.name)) continue;
+
+    const timer = setInterval(() => runJob(job), interval);
+    timer.unref();
+    timers.set(job.name, timer);
+  }
+}
+
+// Stops the timers; runs already underway finish on their own
+function stopJobs() {
+  timers.forEach(timer => clearInterval(timer));
+  timers.clear();
+}
+
+/**
+ * Jobs with their schedule and the outcome of their last run, for admins
+ * @returns {Promise<Array>}
+ */
+async function getJobStatus() {
+  const locks = await JobLock.find({ _id: { $in: jobs.map(job => job.name) } }).lean();
+  const lockByName = new Map(locks.map(lock => [lock._id, lock]));
+
+  return jobs.map(job => {
+    const lock = lockByName.get(job.name) || {};
+    return {
+      name: job.name,
+      interval: getInterval(job),
+      scheduledHere: timers.has(job.name),
+      runningHere: running.has(job.name),
+      running: !!lock.running,
+      lockedBy: lock.lockedBy,
+      lockedUntil: lock.lockedUntil,
+      lastStartedAt: lock.lastStartedAt,
+      lastFinishedAt: lock.lastFinishedAt,
+      lastResult: lock.lastResult,
+      lastError: lock.lastError
+    };
+  });
+}
+
+/**
+ * A job by name
+ * @param {string} name
+ * @returns {object|null}
+ */
+function getJob(name) {
+  return jobs.find(job => job.name === name) || null;
+}
+
+module.exports = { startJobs, stopJobs, runJob, getJob, getJobStatus };
@@ -0,0 +1,13 @@
+const { releaseHeldFunds } = require("../ledger");
+
+// Makes creator earnings available for payout once their return window has closed
+module.exports = {
+  name: "release-held-funds",
+  intervalSetting: "HELD_FUNDS_RELEASE_INTERVAL_MS",
+  defaultInterval: 60 * 60 * 1000,
+
+  async run() {
+    const released = await releaseHeldFunds();
+    return released > 0 ? `Released ${released} held ledger entr${released === 1 ? "y" : "ies"}` : null;
+  }
+};
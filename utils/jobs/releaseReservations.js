@@ -0,0 +1,13 @@
+const { releaseExpiredReservations } = require("../reservations");
+
+// Gives back stock held by unpaid orders once their payment window has passed
+module.exports = {
+  name: "release-reservations",
+  intervalSetting: "RESERVATION_SWEEP_INTERVAL_MS",
+  defaultInterval: 60 * 1000,
+
+  async run() {
+    const released = await releaseExpiredReservations();
+    return released > 0 ? `Released ${released} expired stock reservation(s)` : null;
+  }
+};
@@ -0,0 +1,225 @@
+const mongoose = require("mongoose");
+const LedgerEntry = require("../models/LedgerEntry");
+const Payment = require("../models/Payment");
+const Payout = require("../models/Payout");
+const Product = require("../models/Product");
+const { roundCurrency } = require("./pricing");
+const { getReturnWindowEnd } = require("./returnWindow");
+
+/**
+ * Platform commission in percent, from the category when it sets one, else PLATFORM_COMMISSION_RATE
+ * @param {object} category - (Optional) Category document
+ * @returns {number}
+ */
+function getCommissionRate(category) {
+  if (category && category.commissionRate !== undefined && category.commissionRate !== null) {
+    return category.commissionRate;
+  }
+  return parseFloat(process.env.PLATFORM_COMMISSION_RATE || "10");
+}
+
+/**
+ * Gross and commission for a set of line items, each at its product category's rate
+ * @param {Array} items - Order line items
+ * @returns {Promise<{ gross: number, commission: number }>}
+ */
+async function calculateCommission(items) {
+  const products = await Product.find({ _id: { $in: items.map(item => item.product) } })
+    .select("category")
+    .populate("category", "commissionRate");
+  const categories = new Map(products.map(product => [product._id.toString(), product.category]));
+
+  let gross = 0;
+  let commission = 0;
+  for (const item of items) {
+    const lineTotal = item.unitPrice * item.quantity;
+    gross += lineTotal;
+    commission += lineTotal * getCommissionRate(categories.get(item.product.toString())) / 100;
+  }
+
+  return { gross: roundCurrency(gross), commission: roundCurrency(commission) };
+}
+
+/**
+ * What a creator earns from their fulfillment group in an order, before any refunds
+ * @param {object} order - Order document
+ * @param {object} fulfillment - The creator's fulfillment group
+ * @returns {Promise<{ gross: number, shipping: number, commission: number }>}
+ */
+async function calculateGroupEarnings(order, fulfillment) {
+  const items = order.getCreatorItems(fulfillment.creator);
+  const { gross: itemsTotal, commission: itemsCommission } = await calculateCommission(items);
+
+  // Discounts from the creator's own coupons come out of their earnings; commission is only
+  // charged on what the buyer paid for the items. Shipping goes to the creator in full.
+  const creatorDiscount = order.coupon && order.coupon.fundedBy === "creator" ? fulfillment.discount || 0 : 0;
+  const itemDiscount = order.coupon && order.coupon.type === "free_shipping" ? 0 : creatorDiscount;
+  const commission = itemsTotal > 0 ? roundCurrency(itemsCommission * (itemsTotal - itemDiscount) / itemsTotal) : 0;
+  const shipping = roundCurrency((fulfillment.shippingCost || 0) - (creatorDiscount - itemDiscount));
+  const gross = roundCurrency(itemsTotal - itemDiscount + shipping);
+
+  return { gross, shipping, commission };
+}
+
+/**
+ * Credits each creator whose group in a paid order has been delivered. Their earnings are
+ * held until the return window closes. Safe to call repeatedly; each group is credited once.
+ * @param {object} order - Order document
+ * @returns {Promise<number>} - Number of groups credited
+ */
+async function creditDeliveredFulfillments(order) {
+  const paid = await Payment.exists({ order: order._id, status: { $in: ["paid", "refunded"] } });
+  if (!paid) return 0;
+
+  let credited = 0;
+  for (const fulfillment of order.fulfillments.filter(f => f.status === "delivered")) {
+    const { gross, shipping, commission } = await calculateGroupEarnings(order, fulfillment);
+
+    try {
+      await LedgerEntry.create({
+        creator: fulfillment.creator,
+        type: "sale",
+        order: order._id,
+        gross,
+        shipping,
+        commission,
+        amount: roundCurrency(gross - commission),
+        status: "held",
+        availableAt: getReturnWindowEnd(fulfillment)
+      });
+      credited++;
+    } catch (error) {
+      if (error.code !== 11000) throw error; // already credited
+    }
+  }
+
+  return credited;
+}
+
+/**
+ * Takes a refunded return out of the creator's earnings, less the commission the platform gives up
+ * @param {object} returnRequest - ReturnRequest document with refundAmount set
+ * @param {object} session - Mongoose client session
+ * @param {number} platformDiscount - (Optional) Part of the returned items' price paid by a platform coupon;
+ *   the creator was credited it at full price, so it comes back on top of the refund
+ */
+async function debitRefund(returnRequest, session, platformDiscount = 0) {
+  const sale = await LedgerEntry.findOne({ type: "sale", order: returnRequest.order, creator: returnRequest.creator })
+    .session(session);
+  const itemsGross = sale ? sale.gross - sale.shipping : 0;
+  const commissionShare = itemsGross > 0 ? sale.commission / itemsGross : 0;
+  const debited = roundCurrency(returnRequest.refundAmount + platformDiscount);
+  const commission = roundCurrency(debited * commissionShare);
+
+  await LedgerEntry.create([{
+    creator: returnRequest.creator,
+    type: "refund",
+    order: returnRequest.order,
+    returnRequest: returnRequest._id,
+    gross: -debited,
+    commission: -commission,
+    amount: -roundCurrency(debited - commission)
+  }], { session });
+}
+
+/**
+ * Takes a refund or chargeback that isn't tied to a return out of the creators' earnings. Each creator
+ * still fulfilling the order gives back the same fraction of their earnings as the buyer got back of
+ * what they paid. Entries are written whether or not the sale has been credited yet, so the balance
+ * nets out either way.
+ * @param {object} order - Order document
+ * @param {number} amount - Amount refunded or charged back
+ * @param {object} session - Mongoose client session
+ * @param {string} note - e.g. "Refund: damaged in transit"
+ * @returns {Promise<number>} - Number of creators debited
+ */
+async function debitOrderRefund(order, amount, session, note) {
+  const groups = order.fulfillments.filter(f => f.status !== "cancelled");
+  const paid = groups.reduce((sum, f) => sum + f.subtotal + (f.shippingCost || 0) - (f.discount || 0), 0);
+  if (!(amount > 0) || !(paid > 0)) return 0;
+
+  const fraction = Math.min(1, amount / paid);
+  const entries = [];
+  for (const fulfillment of groups) {
+    const earnings = await calculateGroupEarnings(order, fulfillment);
+    const gross = roundCurrency(earnings.gross * fraction);
+    const commission = roundCurrency(earnings.commission * fraction);
+    if (gross <= 0) continue;
+
+    entries.push({
+      creator: fulfillment.creator,
+      type: "refund",
+      order: order._id,
+      gross: -gross,
+      shipping: -roundCurrency(earnings.shipping * fraction),
+      commission: -commission,
+      amount: -roundCurrency(gross - commission),
+      note
+    });
+  }
+
+  if (entries.length > 0) {
+    await LedgerEntry.create(entries, { session, ordered: true });
+  }
+  return entries.length;
+}
+
+/**
+ * Makes held earnings available once their return window has closed
+ * @param {string} creatorId - (Optional) Only this creator's entries
+ * @returns {Promise<number>} - Number of entries released
+ */
+async function releaseHeldFunds(creatorId) {
+  const query = { status: "held", availableAt: { $lte: new Date() } };
+  if (creatorId) query.creator = creatorId;
+
+  const result = await LedgerEntry.updateMany(query, { $set: { status: "available" } });
+  return result.modifiedCount;
+}
+
+/**
+ * A creator's balance
+ * @param {string} creatorId
+ * @param {object} session - (Optional) Mongoose client session
+ * @returns {Promise<{ netEarnings: number, commission: number, held: number, available: number, paidOut: number }>}
+ */
+async function getCreatorBalance(creatorId, session) {
+  const creator = new mongoose.Types.ObjectId(creatorId);
+
+  const [entries, payouts] = await Promise.all([
+    LedgerEntry.aggregate([
+      { $match: { creator } },
+      {
+        $group: {
+          _id: null,
+          netEarnings: { $sum: { $cond: [{ $in: ["$type", ["sale", "refund"]] }, "$amount", 0] } },
+          commission: { $sum: "$commission" },
+          held: { $sum: { $cond: [{ $eq: ["$status", "held"] }, "$amount", 0] } },
+          available: { $sum: { $cond: [{ $eq: ["$status", "available"] }, "$amount", 0] } }
+        }
+      }
+    ]).session(session || null),
+    Payout.aggregate([
+      { $match: { creator, status: "paid" } },
+      { $group: { _id: null, paidOut: { $sum: "$amount" } } }
+    ]).session(session || null)
+  ]);
+
+  const totals = entries[0] || {};
+  return {
+    netEarnings: roundCurrency(totals.netEarnings || 0),
+    commission: roundCurrency(totals.commission || 0),
+    held: roundCurrency(totals.held || 0),
+    available: roundCurrency(totals.available || 0),
+    paidOut: roundCurrency(payouts[0] ? payouts[0].paidOut : 0)
+  };
+}
+
+module.exports = {
+  getCommissionRate,
+  creditDeliveredFulfillments,
+  debitRefund,
+  debitOrderRefund,
+  releaseHeldFunds,
+  getCreatorBalance
+};
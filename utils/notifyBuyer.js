@@ -0,0 +1,28 @@
+const User = require("../models/User");
+const sendEmail = require("./sendEmail");
+
+/**
+ * Emails the buyer of an order (registered user or guest). Failures are logged, never thrown,
+ * so a mail outage can't undo the change being announced.
+ * @param {object} order - Order document (user may be an id or populated)
+ * @param {string} subject - Subject of the email
+ * @param {string} text - Plain text body
+ */
+async function notifyBuyer(order, subject, text) {
+  try {
+    let email = order.customerInfo && order.customerInfo.email;
+
+    if (order.user) {
+      const user = order.user.email ? order.user : await User.findById(order.user).select("email");
+      if (user && user.email) email = user.email;
+    }
+
+    if (!email) return;
+
+    await sendEmail(email, subject, text);
+  } catch (error) {
+    console.error("Buyer notification error:", error.message);
+  }
+}
+
+module.exports = notifyBuyer;
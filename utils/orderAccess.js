@@ -0,0 +1,87 @@
+const jwt = require("jsonwebtoken");
+
+const ORDER_ACCESS_PURPOSE = "order_access";
+
+/**
+ * Signed token that lets a guest follow their order without an account
+ * @param {object} order - Order document
+ * @returns {string}
+ */
+function createOrderAccessToken(order) {
+  return jwt.sign(
+    { orderId: order._id.toString(), purpose: ORDER_ACCESS_PURPOSE },
+    process.env.JWT_SECRET,
+    { expiresIn: process.env.ORDER_ACCESS_TOKEN_EXPIRES_IN || "30d" }
+  );
+}
+
+/**
+ * Link to a guest order's tracking page, signed so it works without an account
+ * @param {object} order - Order document
+ * @returns {string}
+ */
+function getOrderAccessUrl(order) {
+  return `${process.env.FRONTEND_URL}/orders/${order._id}?token=${createOrderAccessToken(order)}`;
+}
+
+/**
+ * Query for guest orders placed with an email address, ignoring case
+ * @param {string} email
+ * @returns {object}
+ */
+function guestOrderQuery(email) {
+  const escaped = String(email).trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return { user: null, "customerInfo.email": { $regex: `^${escaped}$`, $options: "i" } };
+}
+
+/**
+ * Order access token sent with a request, from the X-Order-Token header or the token query parameter
+ * @param {object} req - Express request
+ * @returns {string|undefined}
+ */
+function getOrderAccessToken(req) {
+  return req.headers["x-order-token"] || req.query.token;
+}
+
+/**
+ * Checks an order access token against an order
+ * @param {string} token
+ * @param {object} order - Order document
+ * @returns {boolean}
+ */
+function verifyOrderAccessToken(token, order) {
+  if (!token) return false;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === ORDER_ACCESS_PURPOSE && decoded.orderId === order._id.toString();
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Whether a request may see an order: its owner, an admin, or, for guest orders, the holder of its access token
+ * @param {object} order - Order document (user may be an id or populated)
+ * @param {object} req - Express request, after optionalAuthenticate
+ * @returns {boolean}
+ */
+function canAccessOrder(order, req) {
+  if (req.user && req.user.role === "admin") return true;
+
+  if (order.user) {
+    const ownerId = order.user._id || order.user;
+    return !!req.user && ownerId.toString() === req.user._id.toString();
+  }
+
+  return verifyOrderAccessToken(getOrderAccessToken(req), order);
+}
+
+module.exports = {
+  createOrderAccessToken,
+  getOrderAccessUrl,
+  guestOrderQuery,
+  getOrderAccessToken,
+  verifyOrderAccessToken,
+  canAccessOrder
+};
@@ -0,0 +1,226 @@
+const mongoose = require("mongoose");
+const PDFDocument = require("pdfkit");
+const Order = require("../models/Order");
+const { nextInvoiceNumber } = require("./counters");
+const { formatAddress } = require("./addresses");
+
+const SELLER_NAME = "Craft Marketplace";
+const PAYMENT_METHODS = { card: "Card", cash_on_delivery: "Cash on delivery", bank_transfer: "Bank transfer" };
+
+const money = (amount, currency = "LKR") =>
+  `${currency} ${(amount || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Gives an order its invoice number the first time an invoice is issued. Numbers are sequential
+ * and never reused: a concurrent request for the same order rolls back its counter increment.
+ * @param {object} order - Order document
+ * @returns {Promise<object>} - The order, with invoiceNumber and invoicedAt set
+ */
+async function assignInvoiceNumber(order) {
+  if (order.invoiceNumber) return order;
+
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      const current = await Order.findById(order._id).select("invoiceNumber invoicedAt").session(session);
+      if (current.invoiceNumber) {
+        order.invoiceNumber = current.invoiceNumber;
+        order.invoicedAt = current.invoicedAt;
+        return;
+      }
+
+      const invoicedAt = new Date();
+      const invoiceNumber = await nextInvoiceNumber(session);
+      await Order.updateOne({ _id: order._id }, { $set: { invoiceNumber, invoicedAt } }, { session });
+      order.invoiceNumber = invoiceNumber;
+      order.invoicedAt = invoicedAt;
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  return order;
+}
+
+// Name, email and phone of the buyer, from their account or the guest checkout details
+const getBuyer = (order) => {
+  const user = order.user && order.user.email ? order.user : null;
+  const info = order.customerInfo || {};
+  return {
+    name: (user && user.name) || info.name,
+    email: (user && user.email) || info.email,
+    phone: (user && user.phone) || info.phone
+  };
+};
+
+// Starts a PDF streamed to the response as a download
+const startPdf = (res, filename, title) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: title, Author: SELLER_NAME } });
+  res.setHeader("Content-Type", "application/pdf");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  doc.pipe(res);
+  return doc;
+};
+
+// Title block with the seller name on the left and reference lines on the right
+const writeHeader = (doc, title, references) => {
+  doc.fontSize(20).font("Helvetica-Bold").text(title, 50, 50);
+  doc.fontSize(10).font("Helvetica").text(SELLER_NAME, 50, 76);
+
+  doc.fontSize(10).text(references.join("\n"), 300, 50, { width: 245, align: "right" });
+  doc.moveTo(50, 115).lineTo(545, 115).stroke();
+  doc.y = 130;
+};
+
+// Two blocks side by side, e.g. Billed to / Ship to
+const writeParties = (doc, blocks) => {
+  const top = doc.y;
+  let bottom = top;
+  blocks.forEach(({ heading, text }, index) => {
+    const x = 50 + index * 250;
+    doc.font("Helvetica-Bold").fontSize(10).text(heading, x, top, { width: 230 });
+    doc.font("Helvetica").text(text || "-", x, doc.y + 2, { width: 230 });
+    bottom = Math.max(bottom, doc.y);
+  });
+  doc.y = bottom + 20;
+};
+
+// Table with columns [{ label, width, align }] and rows of cell strings
+const writeTable = (doc, columns, rows) => {
+  const writeRow = (cells, font) => {
+    if (doc.y > 740) doc.addPage();
+    const top = doc.y;
+    let x = 50;
+    let bottom = top;
+    doc.font(font).fontSize(9);
+    cells.forEach((cell, index) => {
+      const { width, align = "left" } = columns[index];
+      doc.text(cell, x, top, { width: width - 8, align });
+      bottom = Math.max(bottom, doc.y);
+      x += width;
+    });
+    doc.y = bottom + 6;
+  };
+
+  writeRow(columns.map(column => column.label), "Helvetica-Bold");
+  doc.moveTo(50, doc.y - 3).lineTo(545, doc.y - 3).stroke();
+  rows.forEach(row => writeRow(row, "Helvetica"));
+};
+
+// Label and amount lines aligned under the table, e.g. Subtotal / Total
+const writeTotals = (doc, lines) => {
+  doc.moveTo(330, doc.y).lineTo(545, doc.y).stroke();
+  doc.y += 6;
+  lines.forEach(({ label, value, bold }) => {
+    const top = doc.y;
+    doc.font(bold ? "Helvetica-Bold" : "Helvetica").fontSize(10);
+    doc.text(label, 330, top, { width: 110 });
+    doc.text(value, 440, top, { width: 105, align: "right" });
+    doc.y = top + 16;
+  });
+};
+
+const itemLabel = (item) => {
+  const title = item.title || (item.product && item.product.title) || "Item";
+  return item.sku ? `${title} (${item.sku})` : title;
+};
+
+/**
+ * Streams the invoice for an order as a PDF
+ * @param {object} order - Order document with invoiceNumber, user populated when registered
+ * @param {Array} payments - The order's paid or refunded Payment documents
+ * @param {object} res - Express response
+ */
+function renderInvoice(order, payments, res) {
+  const currency = (payments[0] && payments[0].currency) || "LKR";
+  const buyer = getBuyer(order);
+  const doc = startPdf(res, `invoice-${order.invoiceNumber}.pdf`, `Invoice ${order.invoiceNumber}`);
+
+  writeHeader(doc, "INVOICE", [
+    `Invoice ${order.invoiceNumber}`,
+    `Issued ${formatDate(order.invoicedAt)}`,
+    `Order ${order.orderNumber || order._id}`,
+    `Ordered ${formatDate(order.createdAt)}`
+  ]);
+
+  writeParties(doc, [
+    { heading: "Billed to", text: [buyer.name, buyer.email, buyer.phone].filter(Boolean).join("\n") },
+    { heading: "Ship to", text: formatAddress(order.shippingAddress) }
+  ]);
+
+  // Items of cancelled fulfillment groups were taken off the order total, so leave them out too
+  const items = order.status === "cancelled" ? order.products : order.getLiveItems();
+  writeTable(doc, [
+    { label: "Item", width: 245 },
+    { label: "Qty", width: 50, align: "right" },
+    { label: "Unit price", width: 100, align: "right" },
+    { label: "Amount", width: 100, align: "right" }
+  ], items.map(item => [
+    itemLabel(item),
+    String(item.quantity),
+    money(item.unitPrice, currency),
+    money(item.unitPrice * item.quantity, currency)
+  ]));
+
+  const refunded = payments.reduce((sum, payment) => sum + (payment.refundedAmount || 0), 0);
+  writeTotals(doc, [
+    { label: "Subtotal", value: money(order.subtotal, currency) },
+    { label: "Shipping", value: money(order.shippingCost, currency) },
+    ...(order.discount ? [{ label: order.coupon && order.coupon.code ? `Discount (${order.coupon.code})` : "Discount", value: `-${money(order.discount, currency)}` }] : []),
+    { label: "Total", value: money(order.totalAmount, currency), bold: true },
+    ...(refunded ? [{ label: "Refunded", value: `-${money(refunded, currency)}` }] : [])
+  ]);
+
+  if (payments.length > 0) {
+    doc.moveDown().font("Helvetica-Bold").fontSize(10).text("Payments", 50);
+    doc.font("Helvetica").fontSize(9);
+    payments.forEach(payment => {
+      const reference = payment.transactionId ? `, ref ${payment.transactionId}` : "";
+      doc.text(`${PAYMENT_METHODS[payment.method] || payment.method}: ${money(payment.amount, payment.currency)} (${payment.status}${reference})`, 50);
+    });
+  }
+
+  doc.end();
+}
+
+/**
+ * Streams one creator's packing slip for an order as a PDF: their items only, without prices
+ * @param {object} order - Order document, products.product populated for variant options
+ * @param {object} creator - The creator's user document (name)
+ * @param {object} res - Express response
+ */
+function renderPackingSlip(order, creator, res) {
+  const reference = order.orderNumber || order._id;
+  const fulfillment = order.getFulfillment(creator._id) || {};
+  const doc = startPdf(res, `packing-slip-${reference}-${creator._id}.pdf`, `Packing slip ${reference}`);
+
+  const tracking = fulfillment.trackingInfo && fulfillment.trackingInfo.trackingNumber;
+  writeHeader(doc, "PACKING SLIP", [
+    `Order ${reference}`,
+    `Ordered ${formatDate(order.createdAt)}`,
+    ...(tracking ? [`Tracking ${[fulfillment.trackingInfo.provider, tracking].filter(Boolean).join(" ")}`] : [])
+  ]);
+
+  const buyer = getBuyer(order);
+  writeParties(doc, [
+    { heading: "Ship to", text: [buyer.name, formatAddress(order.shippingAddress)].filter(Boolean).join("\n") },
+    { heading: "From", text: creator.name || SELLER_NAME }
+  ]);
+
+  writeTable(doc, [
+    { label: "Item", width: 325 },
+    { label: "Options", width: 100 },
+    { label: "Qty", width: 70, align: "right" }
+  ], order.getCreatorItems(creator._id).map(item => {
+    const product = item.product && item.product.variants ? item.product : null;
+    const variant = product && item.variant ? product.variants.id(item.variant) : null;
+    const options = variant && variant.options ? [...variant.options.values()].join(" / ") : "";
+    return [itemLabel(item), options, String(item.quantity)];
+  }));
+
+  doc.end();
+}
+
+module.exports = { assignInvoiceNumber, renderInvoice, renderPackingSlip };
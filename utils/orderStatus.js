@@ -0,0 +1,93 @@
+// Allowed order status changes: current status -> statuses it may move to
+const ORDER_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "payment_failed", "cancelled"],
+  payment_failed: ["pending", "confirmed", "cancelled"], // buyer may retry payment
+  confirmed: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"], // returned: parcel sent back before delivery
+  delivered: ["returned"],
+  cancelled: [],
+  returned: []
+};
+
+// Allowed status changes for one creator's fulfillment group within an order
+const FULFILLMENT_STATUS_TRANSITIONS = {
+  pending: ["confirmed", "cancelled"],
+  confirmed: ["packed", "shipped", "cancelled"],
+  packed: ["shipped", "cancelled"],
+  shipped: ["delivered", "returned"],
+  delivered: ["returned"],
+  cancelled: [],
+  returned: []
+};
+
+const ORDER_STATUSES = Object.keys(ORDER_STATUS_TRANSITIONS);
+const FULFILLMENT_STATUSES = Object.keys(FULFILLMENT_STATUS_TRANSITIONS);
+
+// Progress of a fulfillment group, used to derive the parent order status
+const FULFILLMENT_PROGRESS = ["pending", "confirmed", "packed", "shipped", "delivered"];
+
+// Order status shown while the least advanced group is at a given fulfillment status
+const ORDER_STATUS_FOR_FULFILLMENT = { packed: "confirmed" };
+
+// Raised when an order is asked to make a status change the graph doesn't allow
+class InvalidStatusTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot change order status from ${from} to ${to}`);
+    this.name = "InvalidStatusTransitionError";
+    this.from = from;
+    this.to = to;
+  }
+}
+
+/**
+ * Checks whether an order may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canTransition(from, to) {
+  return (ORDER_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Checks whether a fulfillment group may move between two statuses
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @returns {boolean}
+ */
+function canFulfillmentTransition(from, to) {
+  return (FULFILLMENT_STATUS_TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Derives the parent order status from its fulfillment groups.
+ * The order is as far along as its least advanced live group; cancelled groups are ignored.
+ * @param {Array} fulfillments - Fulfillment groups
+ * @param {string} currentStatus - Current order status, kept while no group has progressed
+ * @returns {string}
+ */
+function deriveOrderStatus(fulfillments, currentStatus) {
+  const live = fulfillments.filter(f => f.status !== "cancelled");
+  if (live.length === 0) return "cancelled";
+
+  const outstanding = live.filter(f => f.status !== "returned");
+  if (outstanding.length === 0) return "returned";
+
+  const progress = Math.min(...outstanding.map(f => FULFILLMENT_PROGRESS.indexOf(f.status)));
+  const fulfillmentStatus = FULFILLMENT_PROGRESS[progress];
+  const status = ORDER_STATUS_FOR_FULFILLMENT[fulfillmentStatus] || fulfillmentStatus;
+
+  // pending covers both unpaid states; keep payment_failed until payment moves it on
+  return status === "pending" && currentStatus === "payment_failed" ? currentStatus : status;
+}
+
+module.exports = {
+  ORDER_STATUSES,
+  ORDER_STATUS_TRANSITIONS,
+  FULFILLMENT_STATUSES,
+  FULFILLMENT_STATUS_TRANSITIONS,
+  InvalidStatusTransitionError,
+  canTransition,
+  canFulfillmentTransition,
+  deriveOrderStatus
+};
@@ -0,0 +1,44 @@
+const { getReservationExpiry } = require("../reservations");
+
+module.exports = {
+  name: "bank_transfer",
+  label: "Bank transfer",
+  method: "bank_transfer",
+  paysBeforeFulfillment: true,
+
+  // Deposits take longer to arrive than card payments
+  getReservation() {
+    const hours = parseInt(process.env.BANK_TRANSFER_RESERVATION_HOURS || "48");
+    return { status: "held", expiresAt: getReservationExpiry(hours * 60) };
+  },
+
+  // Account the buyer deposits into
+  getAccountDetails() {
+    return {
+      bankName: process.env.BANK_NAME,
+      branch: process.env.BANK_BRANCH,
+      accountName: process.env.BANK_ACCOUNT_NAME,
+      accountNumber: process.env.BANK_ACCOUNT_NUMBER
+    };
+  },
+
+  async initiate({ order, payment }) {
+    return {
+      ...this.getAccountDetails(),
+      amount: payment.amount.toFixed(2),
+      currency: payment.currency,
+      reference: order._id.toString(),
+      instructions: "Use the reference when making the deposit, then upload a photo of the deposit slip. " +
+        "Your order is confirmed once the deposit is verified."
+    };
+  },
+
+  async verify({ payment }) {
+    return { status: payment.status };
+  },
+
+  // Refunds go back by bank transfer, made manually
+  async refund() {
+    return { status: "manual" };
+  }
+};
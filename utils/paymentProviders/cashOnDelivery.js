@@ -0,0 +1,31 @@
+module.exports = {
+  name: "cash_on_delivery",
+  label: "Cash on delivery",
+  method: "cash_on_delivery",
+  paysBeforeFulfillment: false,
+
+  // Nothing to wait for: the stock is taken for good at checkout
+  getReservation() {
+    return { status: "committed" };
+  },
+
+  async initiate({ payment }) {
+    return {
+      instructions: `Please pay ${payment.currency} ${payment.amount.toFixed(2)} in cash when your order is delivered.`
+    };
+  },
+
+  async verify({ payment }) {
+    return { status: payment.status };
+  },
+
+  // The courier collects the cash on delivery
+  async onOrderDelivered() {
+    return { status: "paid", note: "Cash collected on delivery" };
+  },
+
+  // Cash refunds are handed over manually
+  async refund() {
+    return { status: "manual" };
+  }
+};
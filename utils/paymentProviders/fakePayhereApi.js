@@ -0,0 +1,36 @@
+/**
+ * In-memory stand-in for the PayHere Merchant API, for local development and tests.
+ * Enable with PAYHERE_API=fake or pass it to payhere.setApi().
+ * @param {object} options
+ * @param {boolean} options.failRefunds - (Optional) Make every refund fail
+ * @returns {object} - Same interface as createPayhereApi, plus addPayment() and the recorded refunds
+ */
+function createFakePayhereApi({ failRefunds = false } = {}) {
+  const refunds = [];
+  const payments = new Map(); // order_id -> payment records
+
+  return {
+    refunds,
+
+    // Stage what the status API reports for an order, e.g. { payment_id, status: "RECEIVED", amount, currency }
+    addPayment(orderId, record) {
+      payments.set(orderId, [{ order_id: orderId, date: new Date().toISOString(), ...record }, ...(payments.get(orderId) || [])]);
+    },
+
+    async retrievePayments(orderId) {
+      return payments.get(orderId) || [];
+    },
+
+    async refund({ paymentId, amount, description }) {
+      if (failRefunds) {
+        throw new Error("PayHere request failed: refund declined");
+      }
+
+      const refundId = `fake-refund-${refunds.length + 1}`;
+      refunds.push({ refundId, paymentId, amount, description });
+      return { refundId };
+    }
+  };
+}
+
+module.exports = { createFakePayhereApi };
@@ -0,0 +1,60 @@
+const payhere = require("./payhere");
+const cashOnDelivery = require("./cashOnDelivery");
+const bankTransfer = require("./bankTransfer");
+
+/**
+ * Payment providers. Each one implements:
+ * - name, label, method (Payment.method value)
+ * - paysBeforeFulfillment: whether creators must wait for payment before confirming items
+ * - getReservation(): how the order's stock is held ({ status: "held", expiresAt } or { status: "committed" })
+ * - initiate({ order, payment }): what the buyer needs to pay (checkout form, account details, instructions)
+ * - verify({ order, payment }): the provider's view of the payment status, { status, event }; event is the
+ *   gateway notification to record when the status came from the provider
+ * - refund({ payment, amount, reason }): sends money back; resolves to { status: "processed", refundId }
+ *   or { status: "manual" } when staff must pay it out themselves, and throws when the provider declines
+ * Optional: parseWebhook(body) for gateway notifications, onOrderDelivered({ order, payment }) for payments settled on delivery,
+ * fixedAmount: true when the amount is signed into the checkout, so a pending payment's amount can't change.
+ */
+const providers = {
+  [payhere.name]: payhere,
+  [cashOnDelivery.name]: cashOnDelivery,
+  [bankTransfer.name]: bankTransfer
+};
+
+// Older clients send the Payment.method value instead of a provider name
+const aliases = { card: payhere.name };
+
+/**
+ * Providers enabled through PAYMENT_PROVIDERS (comma separated; all by default)
+ * @returns {object[]}
+ */
+function getEnabledProviders() {
+  const names = (process.env.PAYMENT_PROVIDERS || Object.keys(providers).join(","))
+    .split(",")
+    .map(name => name.trim());
+
+  return names.filter(name => providers[name]).map(name => providers[name]);
+}
+
+/**
+ * An enabled provider by name
+ * @param {string} name - Provider name or alias
+ * @returns {object|null}
+ */
+function getProvider(name) {
+  const provider = providers[aliases[name] || name];
+  return provider && getEnabledProviders().includes(provider) ? provider : null;
+}
+
+/**
+ * The provider that handles an existing payment, enabled or not
+ * @param {object} payment - Payment document
+ * @returns {object|null}
+ */
+function getProviderForPayment(payment) {
+  return providers[payment.provider] ||
+    Object.values(providers).find(provider => provider.method === payment.method) ||
+    null;
+}
+
+module.exports = { getEnabledProviders, getProvider, getProviderForPayment };
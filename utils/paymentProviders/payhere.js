@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const { getReservationExpiry } = require("../reservations");
+const { createPayhereApi } = require("./payhereApi");
+const { createFakePayhereApi } = require("./fakePayhereApi");
+
+// PayHere status_code -> Payment status
+const STATUS_CODES = {
+  "2": "paid",
+  "0": "pending",
+  "-1": "cancelled",
+  "-2": "failed",
+  "-3": "chargedback"
+};
+
+// Payment status reported by the Merchant API -> notification status_code, so both record the same event
+const API_STATUS_CODES = {
+  RECEIVED: "2",
+  FAILED: "-2",
+  CHARGEBACKED: "-3"
+};
+
+const md5Upper = (value) => crypto.createHash("md5").update(value).digest("hex").toUpperCase();
+
+const formatAmount = (amount) => Number(amount).toFixed(2);
+
+const getMerchantId = () => process.env.PAYHERE_MERCHANT_ID || process.env.VITE_PAYHERE_MERCHANT_ID;
+
+let api;
+
+/**
+ * Merchant API client: the fake when PAYHERE_API=fake, otherwise the real API once app credentials are set
+ * @returns {object|null}
+ */
+function getApi() {
+  if (api === undefined) {
+    if (process.env.PAYHERE_API === "fake") {
+      api = createFakePayhereApi();
+    } else if (process.env.PAYHERE_APP_ID && process.env.PAYHERE_APP_SECRET) {
+      api = createPayhereApi({ appId: process.env.PAYHERE_APP_ID, appSecret: process.env.PAYHERE_APP_SECRET });
+    } else {
+      api = null;
+    }
+  }
+  return api;
+}
+
+/**
+ * Replaces the Merchant API client, e.g. with createFakePayhereApi()
+ * @param {object|null} client
+ */
+function setApi(client) {
+  api = client;
+}
+
+/**
+ * Checkout hash for the PayHere Checkout/JS SDK
+ * hash = MD5(merchant_id + order_id + amount + currency + MD5(merchant_secret).toUpperCase()).toUpperCase()
+ * @param {{ orderId: string, amount: number|string, currency: string }} params
+ * @returns {string|null} - null when credentials are not configured
+ */
+function createHash({ orderId, amount, currency }) {
+  const merchantId = getMerchantId();
+  const merchantSecret = process.env.PAYHERE_SECRET_KEY;
+  if (!merchantId || !merchantSecret) return null;
+
+  return md5Upper(`${merchantId}${orderId}${formatAmount(amount)}${currency}${md5Upper(merchantSecret)}`);
+}
+
+module.exports = {
+  name: "payhere",
+  label: "Card (PayHere)",
+  method: "card",
+  paysBeforeFulfillment: true,
+  fixedAmount: true,
+  createHash,
+  setApi,
+
+  getReservation() {
+    return { status: "held", expiresAt: getReservationExpiry() };
+  },
+
+  // Checkout parameters for the PayHere payment form
+  async initiate({ order, payment }) {
+    const checkoutUrl = process.env.NODE_ENV === "production"
+      ? process.env.PAYHERE_LIVE_URL
+      : process.env.PAYHERE_SANDBOX_URL;
+
+    return {
+      checkoutUrl,
+      merchantId: getMerchantId(),
+      orderId: order._id.toString(),
+      amount: formatAmount(payment.amount),
+      currency: payment.currency,
+      hash: createHash({ orderId: order._id.toString(), amount: payment.amount, currency: payment.currency }),
+      notifyUrl: `${process.env.BACKEND_URL}/api/payments/payhere-webhook`
+    };
+  },
+
+  /**
+   * Verifies a PayHere notification and normalises it
+   * md5sig = MD5(merchant_id + order_id + amount + currency + status_code + MD5(merchant_secret).toUpperCase()).toUpperCase()
+   * @param {object} body - Notification form fields
+   * @returns {object} - { orderId, gatewayPaymentId, status, statusCode, amount, currency } or { error }
+   */
+  parseWebhook(body) {
+    const { merchant_id, order_id, payment_id, payhere_amount, payhere_currency, status_code, md5sig } = body;
+
+    const expected = md5Upper(
+      `${merchant_id}${order_id}${payhere_amount}${payhere_currency}${status_code}${md5Upper(process.env.PAYHERE_SECRET_KEY || "")}`
+    );
+    if (md5sig !== expected) {
+      return { error: "Invalid signature" };
+    }
+
+    const status = STATUS_CODES[status_code];
+    if (!status) {
+      return { error: "Unknown status code" };
+    }
+
+    // Only signed fields are trusted: custom fields are not covered by md5sig
+    return {
+      orderId: order_id,
+      gatewayPaymentId: payment_id,
+      status,
+      statusCode: status_code,
+      amount: payhere_amount,
+      currency: payhere_currency
+    };
+  },
+
+  /**
+   * Asks the Merchant API for the order's payment; without app credentials the signed webhook is the only source
+   * @returns {Promise<object>} - { status, event: { paymentId, statusCode } }; status is unchanged when nothing new is known
+   */
+  async verify({ order, payment }) {
+    const client = getApi();
+    if (!client) {
+      return { status: payment.status };
+    }
+
+    const records = await client.retrievePayments(order._id.toString());
+    const record = records.find(r => API_STATUS_CODES[r.status]);
+    if (!record) {
+      return { status: payment.status };
+    }
+
+    if (formatAmount(record.amount) !== formatAmount(payment.amount) || record.currency !== payment.currency) {
+      console.error("PayHere payment does not match order", order._id.toString(), record.amount, record.currency);
+      return { status: payment.status };
+    }
+
+    const statusCode = API_STATUS_CODES[record.status];
+    return {
+      status: STATUS_CODES[statusCode],
+      event: { paymentId: String(record.payment_id), statusCode }
+    };
+  },
+
+  // Refunds through the Merchant API; without app credentials they are issued from the merchant portal
+  async refund({ payment, amount, reason }) {
+    const client = getApi();
+    if (!client || !payment.transactionId) {
+      return { status: "manual" };
+    }
+
+    const partial = amount < payment.amount;
+    const { refundId } = await client.refund({
+      paymentId: payment.transactionId,
+      amount: partial ? amount : undefined,
+      description: reason || "Refund"
+    });
+    return { status: "processed", refundId };
+  }
+};
@@ -0,0 +1,79 @@
+// PayHere Merchant API hosts
+const API_URLS = {
+  sandbox: "https://sandbox.payhere.lk",
+  live: "https://www.payhere.lk"
+};
+
+/**
+ * Client for the PayHere Merchant API (OAuth app credentials from the merchant portal)
+ * @param {object} options
+ * @param {string} options.appId - Business app id
+ * @param {string} options.appSecret - Business app secret
+ * @param {string} options.baseUrl - (Optional) API host; sandbox unless NODE_ENV is production
+ * @returns {object} - { retrievePayments, refund }
+ */
+function createPayhereApi({ appId, appSecret, baseUrl }) {
+  const apiUrl = baseUrl || (process.env.NODE_ENV === "production" ? API_URLS.live : API_URLS.sandbox);
+
+  async function getAccessToken() {
+    const response = await fetch(`${apiUrl}/merchant/v1/oauth/token`, {
+      method: "POST",
+      headers: {
+        Authorization: `Basic ${Buffer.from(`${appId}:${appSecret}`).toString("base64")}`,
+        "Content-Type": "application/x-www-form-urlencoded"
+      },
+      body: "grant_type=client_credentials"
+    });
+
+    const data = await response.json();
+    if (!response.ok || !data.access_token) {
+      throw new Error(`PayHere authorization failed: ${data.error_description || data.error || response.status}`);
+    }
+    return data.access_token;
+  }
+
+  async function request(path, body) {
+    const response = await fetch(`${apiUrl}${path}`, {
+      method: body ? "POST" : "GET",
+      headers: {
+        Authorization: `Bearer ${await getAccessToken()}`,
+        "Content-Type": "application/json"
+      },
+      body: body ? JSON.stringify(body) : undefined
+    });
+
+    const data = await response.json();
+    // PayHere reports failures with status <= 0 even on HTTP 200
+    if (!response.ok || data.status <= 0) {
+      throw new Error(`PayHere request failed: ${data.msg || response.status}`);
+    }
+    return data;
+  }
+
+  return {
+    /**
+     * Payments PayHere holds for an order, newest first
+     * @param {string} orderId - order_id sent at checkout
+     * @returns {Promise<Array>} - [{ payment_id, order_id, status, amount, currency, date }]
+     */
+    async retrievePayments(orderId) {
+      const data = await request(`/merchant/v1/payment/search?order_id=${encodeURIComponent(orderId)}`);
+      return data.data || [];
+    },
+
+    /**
+     * Refunds a payment, in full unless an amount is given
+     * @param {{ paymentId: string, amount: number, description: string }} params
+     * @returns {Promise<{ refundId: string }>}
+     */
+    async refund({ paymentId, amount, description }) {
+      const body = { payment_id: paymentId, description };
+      if (amount !== undefined) body.amount = Number(amount).toFixed(2);
+
+      const data = await request("/merchant/v1/payment/refund", body);
+      return { refundId: data.data ? String(data.data) : undefined };
+    }
+  };
+}
+
+module.exports = { createPayhereApi };
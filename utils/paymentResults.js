@@ -0,0 +1,167 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const { canTransition } = require("./orderStatus");
+const { InsufficientStockError } = require("./inventory");
+const { commitReservation } = require("./reservations");
+const { getProviderForPayment } = require("./paymentProviders");
+const { debitOrderRefund } = require("./ledger");
+const { roundCurrency } = require("./pricing");
+const { recordRefund, processRefund } = require("./refunds");
+const notifyBuyer = require("./notifyBuyer");
+
+// Payment statuses a late or retried result must not overwrite
+const SETTLED_PAYMENT_STATUSES = ["paid", "chargedback", "refunded"];
+
+/**
+ * Applies a payment result to the payment and its order inside a transaction
+ * @param {object} result
+ * @param {object} result.payment - Payment document
+ * @param {object} result.order - Order document
+ * @param {string} result.status - New Payment status
+ * @param {object} result.event - (Optional) Gateway notification { paymentId, statusCode }, recorded once
+ * @param {string} result.note - Note for the order status history
+ * @param {object} result.actor - (Optional) User who made the change
+ * @param {boolean} result.inStock - false records the payment without taking stock or confirming the order
+ * @param {object} session - Mongoose client session
+ * @returns {Promise<{ applied: boolean, refund: object|null }>} - applied is false when the gateway event
+ *   was already processed; refund is set when money arrived for a cancelled order and has to be sent back
+ */
+async function applyPaymentResult({ payment, order, status, event, note, actor, inStock = true }, session) {
+  if (event) {
+    // Record the event only once; a concurrent or repeated delivery finds it already there
+    const claimed = await Payment.updateOne(
+      {
+        _id: payment._id,
+        gatewayEvents: { $not: { $elemMatch: { paymentId: event.paymentId, statusCode: event.statusCode } } }
+      },
+      {
+        $push: { gatewayEvents: { paymentId: event.paymentId, statusCode: event.statusCode } },
+        $set: { gatewayStatusCode: event.statusCode, transactionId: event.paymentId }
+      },
+      { session }
+    );
+    if (claimed.modifiedCount === 0) return { applied: false, refund: null };
+  }
+
+  const settled = SETTLED_PAYMENT_STATUSES.includes(payment.status);
+  if (settled && status !== "chargedback") return { applied: true, refund: null }; // stale result, keep the settled one
+
+  // The order may have been cancelled (e.g. left unpaid too long) after it was loaded. Money that arrives
+  // anyway is recorded, then refunded in full; the order stays cancelled and its stock stays released.
+  const cancelled = status === "paid" && (order.status === "cancelled" ||
+    (await Order.exists({ _id: order._id, status: "cancelled" }).session(session)) !== null);
+  if (cancelled) {
+    const paid = await Payment.findById(payment._id).session(session);
+    paid.status = "paid";
+    order.paymentStatus = "paid";
+    const refund = recordRefund(paid, order, { reason: "Order was cancelled before the payment arrived" });
+    await paid.save({ session });
+
+    if (event) order.paymentId = event.paymentId;
+    await order.save({ session });
+    return { applied: true, refund: refund && { payment: paid, entry: refund } };
+  }
+
+  if (status === "paid" && inStock) {
+    await commitReservation(payment, order, session);
+    if (canTransition(order.status, "confirmed")) {
+      order.setStatus("confirmed", { actor, note });
+    }
+  } else if (["failed", "cancelled"].includes(status) && canTransition(order.status, "payment_failed")) {
+    order.setStatus("payment_failed", { actor, note });
+  }
+
+  if (status === "chargedback") {
+    // Only the first chargeback for a payment takes the unrefunded rest back from the creators
+    const charged = await Payment.findOneAndUpdate(
+      { _id: payment._id, status: { $ne: "chargedback" } },
+      { $set: { status } },
+      { session }
+    );
+    if (charged) {
+      const amount = roundCurrency(charged.amount - (charged.refundedAmount || 0));
+      await debitOrderRefund(order, amount, session, note || "Chargeback");
+    }
+  } else {
+    await Payment.updateOne({ _id: payment._id }, { $set: { status } }, { session });
+  }
+
+  order.paymentStatus = status;
+  if (event) order.paymentId = event.paymentId;
+
+  // A checkout signed before items were removed from the order charged the old total
+  let refund = null;
+  if (status === "paid" && payment.amount > order.totalAmount) {
+    const paid = await Payment.findById(payment._id).session(session);
+    const entry = recordRefund(paid, order, {
+      amount: roundCurrency(paid.amount - order.totalAmount),
+      reason: "Items removed from the order"
+    });
+    await paid.save({ session });
+    refund = entry && { payment: paid, entry };
+  }
+  await order.save({ session });
+
+  return { applied: true, refund };
+}
+
+/**
+ * Applies a payment result in its own transaction. If the order's stock sold out after its
+ * reservation expired, the payment is still recorded but the order is left unconfirmed.
+ * A payment for an order that was already cancelled is refunded and the buyer told.
+ * @param {object} result - See applyPaymentResult
+ * @returns {Promise<boolean>} - false when the gateway event was already processed
+ */
+async function settlePayment(result) {
+  let applied;
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      applied = await applyPaymentResult(result, session);
+    });
+  } catch (error) {
+    if (!(error instanceof InsufficientStockError)) throw error;
+
+    console.error("Paid order could not be fulfilled from stock", result.order._id.toString(), error.items);
+    const order = await Order.findById(result.order._id);
+    await session.withTransaction(async () => {
+      applied = await applyPaymentResult({ ...result, order, inStock: false }, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (applied.refund) {
+    const { payment, entry } = applied.refund;
+    await processRefund(payment, entry);
+    await notifyBuyer(
+      result.order,
+      "Refund issued - Craft Marketplace",
+      `A refund of ${entry.amount} ${payment.currency} has been issued for order ${result.order.orderNumber || result.order._id}. ` +
+        `Reason: ${entry.reason}`
+    );
+  }
+
+  return applied.applied;
+}
+
+/**
+ * Lets the provider settle an outstanding payment once its order is delivered (e.g. cash on delivery)
+ * @param {object} order - Order document, already delivered
+ * @param {object} actor - (Optional) User who marked the delivery
+ */
+async function settleOnDelivery(order, actor) {
+  const payment = await Payment.findOne({ order: order._id, status: "pending" });
+  if (!payment) return;
+
+  const provider = getProviderForPayment(payment);
+  if (!provider || !provider.onOrderDelivered) return;
+
+  const result = await provider.onOrderDelivered({ order, payment });
+  if (result) {
+    await settlePayment({ payment, order, status: result.status, note: result.note, actor });
+  }
+}
+
+module.exports = { applyPaymentResult, settlePayment, settleOnDelivery };
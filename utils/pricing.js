@@ -0,0 +1,82 @@
+const { getUnitPrice, isSaleActive } = require("./sales");
+
+/**
+ * Rounds an amount to cents
+ * @param {number} amount
+ * @returns {number}
+ */
+function roundCurrency(amount) {
+  return Math.round(amount * 100) / 100;
+}
+
+/**
+ * Prices an order from current product data, at sale prices where a sale is running, and snapshots each line item
+ * @param {Array} items - [{ product, variant, quantity }] with product and variant documents
+ * @param {object} shipping - (Optional) Shipping quote from quoteShipping; no shipping is charged without one
+ * @returns {{ lineItems: Array, subtotal: number, shippingCost: number, shipping: Array, discount: number, totalAmount: number }}
+ */
+function priceOrder(items, shipping) {
+  const lineItems = items.map(({ product, variant, quantity }) => {
+    const priced = variant || product;
+    return {
+      product: product._id,
+      variant: variant ? variant._id : undefined,
+      sku: variant ? variant.sku : undefined,
+      title: product.title,
+      unitPrice: getUnitPrice(product, variant),
+      listPrice: isSaleActive(priced.sale) ? priced.price : undefined, // regular price when on sale
+      creator: product.creator,
+      quantity
+    };
+  });
+
+  const subtotal = roundCurrency(lineItems.reduce((sum, item) => sum + item.unitPrice * item.quantity, 0));
+  const shippingCost = shipping ? shipping.shippingCost : 0;
+  const discount = 0;
+  const totalAmount = roundCurrency(Math.max(subtotal + shippingCost - discount, 0));
+
+  return { lineItems, subtotal, shippingCost, shipping: shipping ? shipping.groups : [], discount, totalAmount };
+}
+
+/**
+ * Applies a discount to a priced order; the total never goes below zero
+ * @param {object} pricing - Result of priceOrder
+ * @param {number} discount
+ * @returns {object} - pricing with discount and totalAmount updated
+ */
+function applyDiscount(pricing, discount) {
+  const totalAmount = roundCurrency(Math.max(pricing.subtotal + pricing.shippingCost - discount, 0));
+  return { ...pricing, discount: roundCurrency(discount), totalAmount };
+}
+
+/**
+ * Splits priced line items into one fulfillment group per creator
+ * @param {Array} lineItems - Priced line items from priceOrder
+ * @param {Array} shipping - (Optional) Per-creator shipping from priceOrder
+ * @returns {Array} - [{ creator, subtotal, shippingCost }]
+ */
+function groupByCreator(lineItems, shipping = []) {
+  const groups = new Map();
+
+  for (const item of lineItems) {
+    const key = item.creator.toString();
+    const quote = shipping.find(s => s.creator.toString() === key);
+    const group = groups.get(key) || { creator: item.creator, subtotal: 0, shippingCost: quote ? quote.shippingCost : 0 };
+    group.subtotal = roundCurrency(group.subtotal + item.unitPrice * item.quantity);
+    groups.set(key, group);
+  }
+
+  return [...groups.values()];
+}
+
+/**
+ * Checks a client-submitted total against the server-computed one
+ * @param {number|string} clientTotal - Total the client expects to pay
+ * @param {number} serverTotal - Total computed by priceOrder
+ * @returns {boolean}
+ */
+function totalsMatch(clientTotal, serverTotal) {
+  return Math.abs(roundCurrency(parseFloat(clientTotal)) - serverTotal) < 0.01;
+}
+
+module.exports = { roundCurrency, priceOrder, applyDiscount, groupByCreator, totalsMatch };
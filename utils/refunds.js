@@ -0,0 +1,67 @@
+const Payment = require("../models/Payment");
+const { getProviderForPayment } = require("./paymentProviders");
+
+/**
+ * Records a refund on a paid payment and mirrors a full refund on the order.
+ * The caller saves both documents, then sends the refund with processRefund once they are committed.
+ * @param {object} payment - Payment document
+ * @param {object} order - Order document
+ * @param {object} refund - { amount, reason, returnRequest, actor }; amount defaults to everything left
+ * @returns {object|null} - The refund entry, or null when nothing is left to refund
+ */
+function recordRefund(payment, order, { amount, reason, returnRequest, actor }) {
+  const refund = payment.addRefund({
+    amount: amount === undefined ? payment.getRefundableAmount() : amount,
+    reason,
+    returnRequest,
+    actor
+  });
+
+  if (refund && payment.status === "refunded") {
+    order.paymentStatus = "refunded";
+  }
+
+  return refund;
+}
+
+/**
+ * Sends a recorded refund through the payment's provider and stores the outcome.
+ * Provider errors are stored on the refund rather than thrown, so it can be retried.
+ * @param {object} payment - Payment document the refund belongs to
+ * @param {object} refund - Refund entry from recordRefund
+ * @returns {Promise<object>} - The updated refund entry
+ */
+async function processRefund(payment, refund) {
+  const provider = getProviderForPayment(payment);
+
+  try {
+    const result = provider
+      ? await provider.refund({ payment, amount: refund.amount, reason: refund.reason })
+      : { status: "manual" };
+
+    refund.status = result.status;
+    refund.providerRefundId = result.refundId;
+    refund.failureReason = undefined;
+    if (result.status === "processed") refund.processedAt = new Date();
+  } catch (error) {
+    console.error("Refund error:", payment._id.toString(), error.message);
+    refund.status = "failed";
+    refund.failureReason = error.message;
+  }
+
+  await Payment.updateOne(
+    { _id: payment._id, "refunds._id": refund._id },
+    {
+      $set: {
+        "refunds.$.status": refund.status,
+        "refunds.$.providerRefundId": refund.providerRefundId,
+        "refunds.$.failureReason": refund.failureReason,
+        "refunds.$.processedAt": refund.processedAt
+      }
+    }
+  );
+
+  return refund;
+}
+
+module.exports = { recordRefund, processRefund };
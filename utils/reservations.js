@@ -0,0 +1,137 @@
+const mongoose = require("mongoose");
+const Order = require("../models/Order");
+const Payment = require("../models/Payment");
+const { takeStock, restoreStock } = require("./inventory");
+const { releaseCoupon, restoreCoupon } = require("./coupons");
+
+/**
+ * When stock taken for a new order should be released if payment hasn't arrived
+ * @param {number} minutes - (Optional) Hold time; defaults to RESERVATION_TTL_MINUTES
+ * @returns {Date}
+ */
+function getReservationExpiry(minutes = parseInt(process.env.RESERVATION_TTL_MINUTES || "30")) {
+  return new Date(Date.now() + minutes * 60 * 1000);
+}
+
+/**
+ * Atomically moves a payment's reservation between states, so only one caller acts on it
+ * @param {object} payment - Payment document
+ * @param {string[]} from - Statuses the reservation may currently be in
+ * @param {string} to - New status
+ * @param {object} session - Mongoose client session
+ * @returns {Promise<boolean>} - Whether this caller made the change
+ */
+async function claimReservation(payment, from, to, session) {
+  const update = { "reservation.status": to };
+  if (to === "released") update["reservation.releasedAt"] = new Date();
+
+  const result = await Payment.updateOne(
+    { _id: payment._id, "reservation.status": { $in: from } },
+    { $set: update },
+    { session }
+  );
+  return result.modifiedCount === 1;
+}
+
+/**
+ * Makes the stock held for a paid order permanent. If the hold already expired,
+ * the stock is taken again, which fails when it has sold out in the meantime.
+ * @param {object} payment - Payment document
+ * @param {object} order - Order document
+ * @param {object} session - Mongoose client session
+ * @throws {InsufficientStockError}
+ */
+async function commitReservation(payment, order, session) {
+  if (await claimReservation(payment, ["held"], "committed", session)) return;
+
+  if (await claimReservation(payment, ["released"], "committed", session)) {
+    await takeStock(order.getLiveItems(), session);
+    await restoreCoupon(order, session);
+  }
+}
+
+/**
+ * Gives back the stock an order holds, whether reserved or already committed.
+ * Orders placed before reservations existed always hold their stock.
+ * @param {object} order - Order document
+ * @param {Array} items - Line items to restore, captured before any groups were cancelled
+ * @param {object} session - Mongoose client session
+ */
+async function releaseOrderStock(order, items, session) {
+  const payment = await Payment.findOne({ order: order._id, "reservation.status": { $exists: true } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  if (payment && !(await claimReservation(payment, ["held", "committed"], "released", session))) {
+    return; // already released
+  }
+
+  await restoreStock(items, { session });
+}
+
+/**
+ * Gives back the stock of some of an order's items (e.g. a cancelled group) while the rest stay held.
+ * Nothing is restored once the reservation has been released, since that gave back every item.
+ * @param {object} order - Order document
+ * @param {Array} items - Line items to restore
+ * @param {object} session - Mongoose client session
+ */
+async function releaseItemStock(order, items, session) {
+  const payment = await Payment.findOne({ order: order._id, "reservation.status": { $exists: true } })
+    .sort({ createdAt: -1 })
+    .session(session);
+
+  if (payment) {
+    // Writing to the reservation makes a concurrent expiry conflict with this transaction
+    const live = await Payment.updateOne(
+      { _id: payment._id, "reservation.status": { $in: ["held", "committed"] } },
+      { $set: { "reservation.releasedAt": new Date() } },
+      { session }
+    );
+    if (live.matchedCount === 0) return;
+  }
+
+  await restoreStock(items, { session });
+}
+
+/**
+ * Releases stock held by orders whose payment window has passed
+ * @returns {Promise<number>} - Number of reservations released
+ */
+async function releaseExpiredReservations() {
+  const expired = await Payment.find({
+    "reservation.status": "held",
+    "reservation.expiresAt": { $lte: new Date() }
+  });
+
+  let released = 0;
+  for (const payment of expired) {
+    const session = await mongoose.startSession();
+    try {
+      await session.withTransaction(async () => {
+        const order = await Order.findById(payment.order).session(session);
+        if (!order) return;
+
+        if (await claimReservation(payment, ["held"], "released", session)) {
+          await restoreStock(order.getLiveItems(), { session });
+          await releaseCoupon(order, session);
+          released++;
+        }
+      });
+    } catch (error) {
+      console.error("Release reservation error:", payment._id.toString(), error.message);
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  return released;
+}
+
+module.exports = {
+  getReservationExpiry,
+  commitReservation,
+  releaseOrderStock,
+  releaseItemStock,
+  releaseExpiredReservations
+};
@@ -0,0 +1,30 @@
+/**
+ * Number of days after delivery that items can be returned
+ * @returns {number}
+ */
+function getReturnWindowDays() {
+  return parseInt(process.env.RETURN_WINDOW_DAYS || "14");
+}
+
+/**
+ * When a fulfillment group was delivered, from its status history
+ * @param {object} fulfillment - Order fulfillment group
+ * @returns {Date|null}
+ */
+function getDeliveredAt(fulfillment) {
+  const delivered = fulfillment.statusHistory.filter(entry => entry.status === "delivered").pop();
+  return delivered ? delivered.changedAt : null;
+}
+
+/**
+ * When the return window for a fulfillment group closes
+ * @param {object} fulfillment - Order fulfillment group
+ * @returns {Date|null} - null while the group hasn't been delivered
+ */
+function getReturnWindowEnd(fulfillment) {
+  const deliveredAt = getDeliveredAt(fulfillment);
+  if (!deliveredAt) return null;
+  return new Date(deliveredAt.getTime() + getReturnWindowDays() * 24 * 60 * 60 * 1000);
+}
+
+module.exports = { getReturnWindowDays, getDeliveredAt, getReturnWindowEnd };
@@ -0,0 +1,148 @@
+/**
+ * Whether a scheduled sale is running
+ * @param {object} sale - { price, startsAt, endsAt } from a product or variant
+ * @param {Date} now - (Optional) Point in time to check
+ * @returns {boolean}
+ */
+function isSaleActive(sale, now = new Date()) {
+  if (!sale || sale.price === undefined || sale.price === null || !sale.endsAt) return false;
+  return (!sale.startsAt || new Date(sale.startsAt) <= now) && new Date(sale.endsAt) > now;
+}
+
+/**
+ * Price a buyer pays right now for a product, or one of its variants
+ * @param {object} product - Product document or plain object
+ * @param {object} variant - (Optional) Variant of the product
+ * @param {Date} now - (Optional) Point in time to price at
+ * @returns {number}
+ */
+function getUnitPrice(product, variant, now = new Date()) {
+  const item = variant || product;
+  return isSaleActive(item.sale, now) ? item.sale.price : item.price;
+}
+
+/**
+ * Validates a sale from a create/update request. JSON strings are accepted for multipart forms;
+ * null or an empty string clears the sale.
+ * @param {string|object} raw - e.g. { price: 1500, startsAt: "2025-01-04T00:00", endsAt: "2025-01-06T00:00" }
+ * @param {number} regularPrice - Price the sale must undercut
+ * @param {string} label - (Optional) What the sale is for, used in error messages
+ * @returns {{ sale: object|null } | { error: string }}
+ */
+function parseSale(raw, regularPrice, label = "the product") {
+  if (raw === null || raw === "" || raw === "null") return { sale: null };
+
+  let sale = raw;
+  if (typeof raw === "string") {
+    try {
+      sale = JSON.parse(raw);
+    } catch (error) {
+      return { error: `Invalid sale for ${label}` };
+    }
+  }
+  if (!sale || typeof sale !== "object") return { error: `Invalid sale for ${label}` };
+
+  const price = parseFloat(sale.price);
+  if (isNaN(price) || price < 0 || price >= regularPrice) {
+    return { error: `Sale price for ${label} must be below the regular price` };
+  }
+
+  const startsAt = sale.startsAt ? new Date(sale.startsAt) : new Date();
+  const endsAt = new Date(sale.endsAt);
+  if (isNaN(startsAt.getTime()) || !sale.endsAt || isNaN(endsAt.getTime())) {
+    return { error: `Sale for ${label} needs valid start and end times` };
+  }
+  if (endsAt <= startsAt) {
+    return { error: `Sale for ${label} must end after it starts` };
+  }
+
+  return { sale: { price, startsAt, endsAt } };
+}
+
+/**
+ * Catalog view of a product with any running sale applied: price becomes the sale price,
+ * originalPrice keeps the regular one and onSale flags it, on the product and on each variant
+ * @param {object} product - Plain product object (lean)
+ * @param {Date} now - (Optional) Point in time to price at
+ * @returns {object}
+ */
+function applySalePricing(product, now = new Date()) {
+  const withSale = (item) => ({
+    ...item,
+    price: getUnitPrice(item, null, now),
+    originalPrice: item.price,
+    onSale: isSaleActive(item.sale, now)
+  });
+
+  if (!product.variants || product.variants.length === 0) {
+    return withSale(product);
+  }
+
+  const variants = product.variants.map(withSale);
+  const active = variants.filter(v => v.isActive !== false);
+  const priced = active.length > 0 ? active : variants;
+
+  return {
+    ...product,
+    variants,
+    price: Math.min(...priced.map(v => v.price)),
+    originalPrice: product.price,
+    onSale: priced.some(v => v.onSale)
+  };
+}
+
+/**
+ * Query for products with a sale running, on the product or on an active variant
+ * @param {Date} now - (Optional) Point in time to check
+ * @returns {object}
+ */
+function onSaleQuery(now = new Date()) {
+  const running = {
+    "sale.price": { $ne: null },
+    "sale.endsAt": { $gt: now },
+    $or: [{ "sale.startsAt": null }, { "sale.startsAt": { $lte: now } }]
+  };
+
+  return {
+    $or: [
+      running,
+      { variants: { $elemMatch: { ...running, isActive: { $ne: false } } } }
+    ]
+  };
+}
+
+/**
+ * Aggregation expression for the price a buyer pays right now, matching applySalePricing:
+ * the running sale price if any, and the cheapest active variant for products with variants
+ * @param {Date} now - (Optional) Point in time to price at
+ * @returns {object}
+ */
+function effectivePriceExpression(now = new Date()) {
+  const priceOf = (prefix) => ({
+    $cond: [
+      {
+        $and: [
+          { $ne: [{ $ifNull: [`${prefix}sale.price`, null] }, null] },
+          { $gt: [`${prefix}sale.endsAt`, now] },
+          { $lte: [{ $ifNull: [`${prefix}sale.startsAt`, now] }, now] }
+        ]
+      },
+      `${prefix}sale.price`,
+      `${prefix}price`
+    ]
+  });
+
+  const variants = { $ifNull: ["$variants", []] };
+  const active = { $filter: { input: variants, as: "variant", cond: { $ne: ["$$variant.isActive", false] } } };
+  const priced = { $cond: [{ $gt: [{ $size: active }, 0] }, active, variants] };
+
+  return {
+    $cond: [
+      { $gt: [{ $size: variants }, 0] },
+      { $min: { $map: { input: priced, as: "variant", in: priceOf("$$variant.") } } },
+      priceOf("$")
+    ]
+  };
+}
+
+module.exports = { isSaleActive, getUnitPrice, parseSale, applySalePricing, onSaleQuery, effectivePriceExpression };
@@ -0,0 +1,191 @@
+const ShippingProfile = require("../models/ShippingProfile");
+const { roundCurrency } = require("./pricing");
+const { getUnitPrice } = require("./sales");
+const { SRI_LANKA, normalizeDistrict } = require("./sriLanka");
+
+// Couriers charge the larger of actual and volumetric weight; cm^3 per kg
+const VOLUMETRIC_DIVISOR = 5000;
+
+/**
+ * Validates where an order ships to. Sri Lanka is assumed when no country is given.
+ * @param {object} raw - { country, district }
+ * @returns {{ destination: { country: string, district: string|null } } | { error: string }}
+ */
+function parseDestination(raw = {}) {
+  const country = String(raw.country || SRI_LANKA).trim().toUpperCase();
+  if (!/^[A-Z]{2}$/.test(country)) {
+    return { error: "Country must be a two-letter ISO code" };
+  }
+
+  if (country !== SRI_LANKA || !raw.district) {
+    return { destination: { country, district: null } };
+  }
+
+  const district = normalizeDistrict(raw.district);
+  if (!district) {
+    return { error: `${raw.district} is not a Sri Lankan district` };
+  }
+  return { destination: { country, district } };
+}
+
+/**
+ * Weight a product is charged at, in kg
+ * @param {object} product - Product with weight (grams) and dimensions (cm)
+ * @returns {number}
+ */
+function getChargeableWeight(product) {
+  const actual = (product.weight || 0) / 1000;
+  const { length, width, height } = product.dimensions || {};
+  const volumetric = length && width && height ? (length * width * height) / VOLUMETRIC_DIVISOR : 0;
+  return Math.max(actual, volumetric);
+}
+
+/**
+ * Validates a product's packed weight and dimensions from a create/update request.
+ * Dimensions may arrive as a JSON string (multipart forms) or an object.
+ * @param {string|number} weight - grams
+ * @param {string|object} dimensions - { length, width, height } in cm
+ * @returns {object} - The fields to save, or { error }
+ */
+function parsePackage(weight, dimensions) {
+  const fields = {};
+
+  if (weight !== undefined && weight !== "") {
+    const grams = parseFloat(weight);
+    if (isNaN(grams) || grams < 0) return { error: "Weight must be a positive number of grams" };
+    fields.weight = grams;
+  }
+
+  if (dimensions !== undefined && dimensions !== "") {
+    let parsed = dimensions;
+    if (typeof dimensions === "string") {
+      try {
+        parsed = JSON.parse(dimensions);
+      } catch (error) {
+        return { error: "Dimensions must be { length, width, height } in cm" };
+      }
+    }
+
+    const sizes = ["length", "width", "height"].map(side => parseFloat(parsed && parsed[side]));
+    if (sizes.some(size => isNaN(size) || size <= 0)) {
+      return { error: "Dimensions must be { length, width, height } in cm" };
+    }
+    fields.dimensions = { length: sizes[0], width: sizes[1], height: sizes[2] };
+  }
+
+  return fields;
+}
+
+/**
+ * The rate in a profile that covers a destination; rates naming the district or country win over catch-alls
+ * @param {Array} rates - Shipping profile rates
+ * @param {object} destination - From parseDestination
+ * @returns {object|null}
+ */
+function findRate(rates, { country, district }) {
+  if (country === SRI_LANKA) {
+    const domestic = rates.filter(rate => rate.zone === "domestic");
+    return domestic.find(rate => district && rate.districts.includes(district)) ||
+      domestic.find(rate => rate.districts.length === 0) ||
+      null;
+  }
+
+  const international = rates.filter(rate => rate.zone === "international");
+  return international.find(rate => rate.countries.includes(country)) ||
+    international.find(rate => rate.countries.length === 0) ||
+    null;
+}
+
+/**
+ * Validates shipping rates for a creator's profile
+ * @param {Array} rawRates
+ * @returns {{ rates: Array } | { error: string }}
+ */
+function parseShippingRates(rawRates) {
+  if (!Array.isArray(rawRates) || rawRates.length === 0) {
+    return { error: "At least one shipping rate is required" };
+  }
+
+  const rates = [];
+  for (const raw of rawRates) {
+    if (!raw || !["domestic", "international"].includes(raw.zone)) {
+      return { error: "Each rate needs a zone of domestic or international" };
+    }
+
+    const amounts = {};
+    for (const field of ["baseRate", "perItemRate", "perKgRate", "freeAbove"]) {
+      if (raw[field] === undefined || raw[field] === null || raw[field] === "") continue;
+      const value = parseFloat(raw[field]);
+      if (isNaN(value) || value < 0) {
+        return { error: `${field} must be a positive amount` };
+      }
+      amounts[field] = value;
+    }
+
+    const districts = [];
+    for (const name of raw.zone === "domestic" ? raw.districts || [] : []) {
+      const district = normalizeDistrict(name);
+      if (!district) {
+        return { error: `${name} is not a Sri Lankan district` };
+      }
+      districts.push(district);
+    }
+
+    const countries = (raw.zone === "international" ? raw.countries || [] : []).map(c => String(c).trim().toUpperCase());
+    if (countries.some(country => !/^[A-Z]{2}$/.test(country) || country === SRI_LANKA)) {
+      return { error: "International rates need two-letter country codes other than LK" };
+    }
+
+    rates.push({ name: raw.name, zone: raw.zone, districts, countries, ...amounts });
+  }
+
+  return { rates };
+}
+
+/**
+ * Prices shipping for a cart, per creator, from each creator's shipping profile.
+ * Creators without a profile charge DEFAULT_SHIPPING_FEE anywhere.
+ * @param {Array} cartItems - [{ product, variant, quantity }] with product documents
+ * @param {object} destination - From parseDestination
+ * @returns {Promise<object>} - { shippingCost, groups: [{ creator, shippingCost, weight, rate }] } or { error }
+ */
+async function quoteShipping(cartItems, destination) {
+  const groups = new Map();
+  for (const { product, variant, quantity } of cartItems) {
+    const key = product.creator.toString();
+    const group = groups.get(key) || { creator: product.creator, subtotal: 0, quantity: 0, weight: 0, titles: [] };
+    group.subtotal += getUnitPrice(product, variant) * quantity;
+    group.quantity += quantity;
+    group.weight += getChargeableWeight(product) * quantity;
+    group.titles.push(product.title);
+    groups.set(key, group);
+  }
+
+  const profiles = await ShippingProfile.find({ creator: { $in: [...groups.values()].map(g => g.creator) } });
+  const profileByCreator = new Map(profiles.map(profile => [profile.creator.toString(), profile]));
+  const defaultFee = parseFloat(process.env.DEFAULT_SHIPPING_FEE || "0");
+
+  const quoted = [];
+  for (const [key, group] of groups) {
+    const profile = profileByCreator.get(key);
+    const rate = profile ? findRate(profile.rates, destination) : { name: "Standard", baseRate: defaultFee };
+    if (!rate) {
+      return { error: `${group.titles.join(", ")} cannot be shipped to ${destination.district || destination.country}` };
+    }
+
+    const weight = Math.ceil(group.weight);
+    const free = rate.freeAbove !== undefined && rate.freeAbove !== null && group.subtotal >= rate.freeAbove;
+    const shippingCost = free ? 0 : roundCurrency(
+      (rate.baseRate || 0) + (rate.perItemRate || 0) * group.quantity + (rate.perKgRate || 0) * weight
+    );
+
+    quoted.push({ creator: group.creator, shippingCost, weight, rate: rate.name });
+  }
+
+  return {
+    shippingCost: roundCurrency(quoted.reduce((sum, group) => sum + group.shippingCost, 0)),
+    groups: quoted
+  };
+}
+
+module.exports = { parseDestination, getChargeableWeight, parsePackage, parseShippingRates, quoteShipping };
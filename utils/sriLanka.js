@@ -0,0 +1,39 @@
+// ISO 3166 country code for Sri Lanka; every other country ships internationally
+const SRI_LANKA = "LK";
+
+// The 25 administrative districts, by province
+const PROVINCE_DISTRICTS = {
+  Western: ["Colombo", "Gampaha", "Kalutara"],
+  Central: ["Kandy", "Matale", "Nuwara Eliya"],
+  Southern: ["Galle", "Matara", "Hambantota"],
+  Northern: ["Jaffna", "Kilinochchi", "Mannar", "Vavuniya", "Mullaitivu"],
+  Eastern: ["Batticaloa", "Ampara", "Trincomalee"],
+  "North Western": ["Kurunegala", "Puttalam"],
+  "North Central": ["Anuradhapura", "Polonnaruwa"],
+  Uva: ["Badulla", "Monaragala"],
+  Sabaragamuwa: ["Ratnapura", "Kegalle"]
+};
+
+const DISTRICTS = Object.values(PROVINCE_DISTRICTS).flat();
+
+/**
+ * Canonical spelling of a district name, matched case-insensitively
+ * @param {string} name
+ * @returns {string|null} - null when it isn't a Sri Lankan district
+ */
+function normalizeDistrict(name) {
+  if (!name) return null;
+  const key = String(name).trim().toLowerCase();
+  return DISTRICTS.find(district => district.toLowerCase() === key) || null;
+}
+
+/**
+ * Province a district belongs to
+ * @param {string} district - Canonical district name
+ * @returns {string|null}
+ */
+function getProvince(district) {
+  return Object.keys(PROVINCE_DISTRICTS).find(province => PROVINCE_DISTRICTS[province].includes(district)) || null;
+}
+
+module.exports = { SRI_LANKA, PROVINCE_DISTRICTS, DISTRICTS, normalizeDistrict, getProvince };
@@ -0,0 +1,143 @@
+const { parseSale } = require("./sales");
+
+/**
+ * Parses a field that may arrive as a JSON string (multipart forms) or as an array (JSON bodies)
+ * @param {string|Array} value - Raw request field
+ * @returns {Array|null} - Parsed array, or null if the value is not a valid list
+ */
+function parseList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value !== "string") return null;
+
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validates option definitions and variants from a create/update request
+ * @param {string|Array} rawOptions - e.g. [{ name: "Size", values: ["S", "M"] }]
+ * @param {string|Array} rawVariants - e.g. [{ sku, options: { Size: "M" }, price, stock, images: [0], sale }]
+ * @param {string[]} images - Final product image URLs; variant images are indexes into or URLs from this list
+ * @returns {{ options: Array, variants: Array } | { error: string }}
+ */
+function parseVariants(rawOptions, rawVariants, images = []) {
+  const options = rawOptions === undefined ? [] : parseList(rawOptions);
+  const variants = parseList(rawVariants);
+
+  if (!options) return { error: "Options must be a list of { name, values }" };
+  if (!variants) return { error: "Variants must be a list" };
+
+  const optionMap = new Map();
+  for (const option of options) {
+    if (!option || !option.name || !Array.isArray(option.values) || option.values.length === 0) {
+      return { error: "Each option needs a name and at least one value" };
+    }
+    if (optionMap.has(option.name)) {
+      return { error: `Duplicate option ${option.name}` };
+    }
+    optionMap.set(option.name, option.values.map(String));
+  }
+
+  const skus = new Set();
+  const combinations = new Set();
+  const parsedVariants = [];
+
+  for (const variant of variants) {
+    if (!variant || !variant.sku) {
+      return { error: "Each variant needs a SKU" };
+    }
+    if (skus.has(variant.sku)) {
+      return { error: `Duplicate SKU ${variant.sku}` };
+    }
+    skus.add(variant.sku);
+
+    const price = parseFloat(variant.price);
+    const stock = parseInt(variant.stock);
+    if (isNaN(price) || price < 0) {
+      return { error: `Invalid price for variant ${variant.sku}` };
+    }
+    if (isNaN(stock) || stock < 0) {
+      return { error: `Invalid stock for variant ${variant.sku}` };
+    }
+
+    const variantOptions = variant.options || {};
+    for (const [name, values] of optionMap) {
+      if (!values.includes(String(variantOptions[name]))) {
+        return { error: `Variant ${variant.sku} needs a valid ${name}` };
+      }
+    }
+    if (Object.keys(variantOptions).some(name => !optionMap.has(name))) {
+      return { error: `Variant ${variant.sku} uses an undefined option` };
+    }
+
+    const combination = [...optionMap.keys()].map(name => variantOptions[name]).join("|");
+    if (combinations.has(combination)) {
+      return { error: `Variant ${variant.sku} duplicates another variant's options` };
+    }
+    combinations.add(combination);
+
+    const variantImages = [];
+    for (const image of variant.images || []) {
+      const url = typeof image === "number" ? images[image] : image;
+      if (!url || !images.includes(url)) {
+        return { error: `Variant ${variant.sku} references an unknown image` };
+      }
+      variantImages.push(url);
+    }
+
+    let variantSale = null;
+    if (variant.sale !== undefined) {
+      const parsedSale = parseSale(variant.sale, price, `variant ${variant.sku}`);
+      if (parsedSale.error) return { error: parsedSale.error };
+      variantSale = parsedSale.sale;
+    }
+
+    parsedVariants.push({
+      ...(variant._id && { _id: variant._id }),
+      sku: variant.sku,
+      options: Object.fromEntries([...optionMap.keys()].map(name => [name, String(variantOptions[name])])),
+      price,
+      stock,
+      images: variantImages,
+      sale: variantSale,
+      isActive: variant.isActive !== false && variant.isActive !== "false"
+    });
+  }
+
+  return {
+    options: [...optionMap].map(([name, values]) => ({ name, values })),
+    variants: parsedVariants
+  };
+}
+
+/**
+ * Product-level price and stock derived from variants (lowest active price, total stock)
+ * @param {Array} variants - Parsed variants
+ * @returns {{ price: number, stock: number }}
+ */
+function summarizeVariants(variants) {
+  const active = variants.filter(v => v.isActive !== false);
+  const priced = active.length > 0 ? active : variants;
+
+  return {
+    price: Math.min(...priced.map(v => v.price)),
+    stock: variants.reduce((sum, v) => sum + v.stock, 0)
+  };
+}
+
+/**
+ * Finds a variant on a product document
+ * @param {object} product - Product document
+ * @param {string} variantId - Variant _id
+ * @returns {object|null}
+ */
+function findVariant(product, variantId) {
+  if (!variantId || !product.variants) return null;
+  return product.variants.find(v => v._id.toString() === variantId.toString()) || null;
+}
+
+module.exports = { parseVariants, summarizeVariants, findVariant };